@@ -42,6 +42,19 @@ export const CONFIG = {
     cloudCount: 155,
     terrainDistortion: 3,    // Height variation strength (0 = flat, 2 = hilly)
     
+    // Terrain chunks - ground tiles with LOD, vegetation instanced and culled per tile.
+    // Distances are zoom-compensated (a scoped view counts as closer)
+    terrainChunks: {
+        size: 50,             // Tile edge (m), rounded so tiles split groundSize evenly
+        skirt: 1.5,           // Skirt depth (m) hiding cracks between LOD levels
+        lods: [               // Ground segments per tile up to `distance` (m)
+            { segments: 32, distance: 60 },
+            { segments: 16, distance: 130 },
+            { segments: 8, distance: Infinity }
+        ],
+        cullDistance: { grass: 80, flowers: 60, trees: Infinity }  // Vegetation hidden past this (m)
+    },
+    
     // Mountains
     mountains: {
         enabled: true,
@@ -53,17 +66,118 @@ export const CONFIG = {
         maxRadius: 65
     },
     
+    // Environment sway (grass, flowers, tree canopies) - follows ballistics.wind so the
+    // scenery shows which way the bullet will drift
+    environmentWind: {
+        enabled: true,
+        maxSpeed: 6,          // Wind speed (m/s) for full sway
+        minStrength: 0.15,    // Calm-day rustle
+        frequency: 1.6,       // Sway speed (rad/s)
+        amplitude: { grass: 0.18, flowers: 0.06, trees: 0.35 }  // Tip displacement at full wind (m)
+    },
+    
+    // Grass interaction - blades lean away from animals and lie flat around bullet impacts
+    grassField: {
+        enabled: true,
+        animalRadius: 1.2,    // × animal bounding radius
+        animalStrength: 0.8,  // Tip lean per meter of blade height
+        impact: { radius: 1.5, lifetime: 4000 }  // Flattened patch (m), springs back over `lifetime` ms
+    },
+    
     // Animals
     animalSpeed: { min: 1.5, max: 4 },
     spawnRadius: { min: 25, max: 70 },
-    animalTypes: {
-        deer: { chance: 0.45, points: 200, boundingRadius: 1, speedMultiplier: 1.0 },      // Level 3 - most expensive
-        bear: { chance: 0.30, points: 150, boundingRadius: 1, speedMultiplier: 0.7 },      // Level 2 - medium (slower)
-        rabbit: { chance: 0.25, points: 100, boundingRadius: 1, speedMultiplier: 1.5 }     // Level 1 - cheapest (faster)
+    // Species (points, speed, perception, hit zones, model, label) live in game/AnimalTypes.js
+    
+    // Hit zones - shot quality per body part
+    hitZones: {
+        head: { label: 'HEADSHOT', pointsMultiplier: 2.0, deathSpeed: 1.6 },
+        vitals: { label: 'HEART SHOT', pointsMultiplier: 1.5, deathSpeed: 1.2 },
+        body: { label: 'BODY SHOT', pointsMultiplier: 1.0, deathSpeed: 1.0 },
+        leg: { label: 'LEG SHOT', pointsMultiplier: 0.5, deathSpeed: 0.8 }
+    },
+    hitZonePriority: ['head', 'vitals', 'leg', 'body'],  // When a point is inside several capsules
+    aimAssist: 0.5,           // Extra capsule radius (m) when the ray misses the mesh
+    
+    // Shot quality scoring
+    scoring: {
+        distance: { start: 30, perMeter: 2, max: 100 },     // Long shot bonus past `start` meters
+        moving: { minSpeed: 1, perSpeed: 15, max: 60 },     // Moving target bonus per m/s
+        quickShot: { window: 3000, bonus: 50 },             // Shot within `window` ms of spawn
+        combo: { step: 1, max: 4 }                           // x2, x3, x4 for consecutive hits
+    },
+    
+    // Wounds - a non-vital hit may only wound: the animal limps (leg) or runs (body)
+    // away from the tower leaving a blood trail, and escapes past spawnRadius.max unless finished off
+    wounds: {
+        enabled: true,
+        chance: { leg: 1.0, body: 0.4 },    // Chance a hit in this zone wounds instead of kills
+        limp: 0.6,                           // Leg wound - walk speed multiplier
+        run: 0.8,                            // Body wound - fraction of the flee sprint
+        wander: 0.5,                         // Heading jitter while getting away (rad)
+        label: 'WOUNDED',
+        escapedLabel: 'ESCAPED',
+        blood: { spacing: 1.2, size: 0.25, lifetime: 20000, max: 80, color: 0x6a0a0a }
+    },
+    
+    // Dangerous animals (higher-stakes variant) - types with `aggression` charge the tower
+    // when missed or wounded; one reaching the tower base fails the run
+    danger: {
+        enabled: false,
+        baseRadius: 6,            // Fail when a charger gets this close to the tower (m, ground distance)
+        failLabel: 'MAULED!',
+        failDelay: 1500           // Fail screen before the CTA (ms)
+    },
+    
+    // Herds - a spawn point's `herd` names a preset (or lists members inline);
+    // the spawn point's own animal leads and the members follow it
+    herds: {
+        doeWithFawns: [{ type: 'deer', young: true, count: 2 }],
+        rabbitPair: [{ type: 'rabbit' }],
+        bearWithCubs: [{ type: 'bear', young: true, count: 2 }]
+    },
+    herdSpread: 4,            // Members spawn/stay within this distance of the leader (m)
+    youngAnimals: { scale: 0.55, speedMultiplier: 1.1, protected: true },
+    protectedPenalty: { points: 150, label: 'PROTECTED ANIMAL' },  // Shooting a fawn/cub
+    herdFraming: { padding: 1.3, maxFov: 65 },   // Watching FOV widens to fit the group
+    
+    // Animal navigation - trees/rocks are obstacles, steep ground is avoided
+    navigation: {
+        cellSize: 10,             // Obstacle grid cell (m)
+        treeRadius: 4,            // Trunk radius in tree model units (× instance scale)
+        lookAhead: 4,             // Probe distance for steering (m)
+        maxSlope: 0.45,           // Max rise/run an animal will walk up or down
+        arriveRadius: 2,          // Trail waypoint reached within this distance (m)
+        // Authored trails - spawn points reference them with `trail: 'name'`
+        trails: {
+            meadowLoop: [[21.7, -21], [30, -29], [24, -39], [13, -33]]
+        }
+    },
+    
+    // GLB animal animation states - clips are matched by name (case-insensitive substring);
+    // a missing clip falls back along `fallbacks`, a standing state on a moving clip holds its pose
+    animation: {
+        crossfade: 0.35,          // Blend time between states (s)
+        clips: {
+            idle: ['idle', 'stand'],
+            graze: ['graze', 'eat'],
+            alert: ['alert', 'look'],
+            walk: ['walk'],
+            run: ['run', 'gallop', 'trot'],
+            death: ['death', 'die']
+        },
+        fallbacks: { graze: 'idle', alert: 'idle', idle: 'walk', run: 'walk' },
+        walkTimeScale: 0.5,       // Clip speed per m/s of movement
+        runTimeScale: 0.3,
+        runSpeed: 4.5             // Above this speed (m/s) the run state plays
     },
     
     // Spawn points - loaded from spawn-points.json at runtime
     // Use debug editor (press E in game) to place points
+    // Optional per point: herd, trail, or a choreographed route:
+    //   route: [{ x, z, speed, pause, graze, broadside, faceTower }, ...]
+    //   routeEnd: 'wander' | 'stop' | 'loop', ignoreTower: true keeps the animal on script
+    // Examples of each: src/spawn-points.example.js
     spawnPoints: [],
     
     // Bullet time
@@ -71,6 +185,54 @@ export const CONFIG = {
     bulletTimeDuration: 2500,
     bulletSpeed: 80,
     
+    // Ballistics mode - simulated flight instead of an instant hitscan ray
+    ballistics: {
+        enabled: false,
+        muzzleVelocity: 80,       // m/s (falls back to bulletSpeed)
+        gravity: 9.81,            // Bullet drop (m/s²)
+        drag: 0.05,               // Velocity loss per second (fraction)
+        wind: { x: 1.5, y: 0, z: 0.5 },  // Wind velocity (m/s) - pushes the bullet sideways
+        windFactor: 1.0,          // How strongly wind accelerates the bullet
+        step: 1 / 120,            // Simulation step (s)
+        maxTime: 3,               // Max flight time before the shot counts as a miss (s)
+        aimAssist: 0.2            // Tighter than hitscan - the player has to lead and compensate
+    },
+    
+    // Bullet cam camera - a plan is a list of rig segments over the bullet's flight
+    // (`until` = flight progress 0-1); an optional final 'freeze' segment holds
+    // the landing frame for `hold` ms and zooms into the impact
+    bulletCam: {
+        plan: 'random',           // Plan name for this creative, or 'random' per shot
+        randomPlans: ['orbit', 'chase', 'side', 'animal'],
+        blend: 0.15,              // Flight progress spent easing into the next segment
+        plans: {
+            orbit: [{ rig: 'orbit', until: 1 }],
+            chase: [{ rig: 'chase', until: 0.7 }, { rig: 'side', until: 1 }, { rig: 'freeze', hold: 700 }],
+            side: [{ rig: 'side', until: 1 }, { rig: 'freeze', hold: 700 }],
+            animal: [{ rig: 'chase', until: 0.35 }, { rig: 'animal', until: 1 }, { rig: 'freeze', hold: 700 }]
+        },
+        rigs: {
+            orbit: { distance: 4, height: 1.5, speed: 1, fov: 50 },
+            chase: { distance: 2.5, height: 0.6, lookAhead: 3, fov: 50 },
+            side: { distance: 3, height: 0.3, lead: 0.5, fov: 45 },
+            animal: { distance: 1.5, dolly: 2, height: 2, offset: 0.8, fov: 40 },
+            freeze: { zoom: 2.5, dolly: 0.3 }
+        }
+    },
+    
+    // Near-miss bullet cam - bullet flies past the animal into terrain or a tree
+    nearMiss: {
+        enabled: true,
+        radius: 2.5,              // Max gap (m) between bullet path and a hit capsule
+        maxDistance: 200,         // Ignore impacts further than this (m)
+        impactHold: 1000,         // Time to stay on the impact after the bullet lands (ms)
+        impact: {
+            duration: 1200,       // Debris/dust lifetime (ms)
+            terrain: { colors: [0x6b4f35, 0x8b6b4a, 0x5a7a3a], count: 16, puffColor: 0xb8a58a },
+            tree: { colors: [0x4a3222, 0x6b4a30, 0x3d6b2a], count: 12, puffColor: 0x9a8a70 }
+        }
+    },
+    
     // Colors
     colors: {
         sky: 0x87ceeb,
@@ -107,18 +269,44 @@ export const CONFIG = {
             leaves: [0x2d5a27, 0x3d7a37, 0x4d8a47, 0x3a6a30]
         },
         
-        animals: {
-            deer: { main: 0x9c6b4a, light: 0xc49a6c, antler: 0x8b7355 },
-            bear: { main: 0x5c4033, dark: 0x3d2a22, snout: 0x7a5a4a },
-            rabbit: { main: 0xd4c4b0, light: 0xf5f0e8, ear: 0xffcccc }
-        },
-        
         bullet: 0xffcc00
     },
     
-    // Rendering
-    shadowMapSize: 2048,
-    maxPixelRatio: 2,
+    // Rendering - adaptive quality (QualityManager): preset picked at startup, stepped down while FPS is low
+    quality: {
+        tier: 'auto',   // 'auto' | 'low' | 'medium' | 'high'
+        presets: {
+            // shadows: 'soft' (PCFSoft) | 'hard' (PCF) | 'off'; vegetation thins grass/flowers (layout is the same on every tier)
+            low: { pixelRatio: 1, antialias: false, shadows: 'off', shadowMapSize: 512, vegetation: 0.35 },
+            medium: { pixelRatio: 1.5, antialias: false, shadows: 'hard', shadowMapSize: 1024, vegetation: 0.65 },
+            high: { pixelRatio: 2, antialias: true, shadows: 'soft', shadowMapSize: 2048, vegetation: 1 }
+        },
+        detection: {
+            lowGpu: [/Mali-[234T]/i, /Adreno \(TM\) [2-5]\d\d/i, /PowerVR/i, /SwiftShader/i, /llvmpipe/i, /Intel.*HD Graphics [2-5]\d{3}/i],
+            highGpu: [/Apple (M\d|GPU)/i, /Adreno \(TM\) [6-9]\d\d/i, /GeForce|Quadro|RTX/i, /Radeon/i],
+            lowMemory: 2,       // GB (navigator.deviceMemory)
+            mediumMemory: 4,
+            lowCores: 2         // navigator.hardwareConcurrency
+        },
+        monitor: {
+            targetFps: 30,
+            warmup: 3,          // Seconds ignored after start (shader compiles, texture uploads)
+            sampleTime: 2,      // Seconds of frames averaged per decision
+            cooldown: 2,        // Seconds to settle after a downgrade
+            maxFrameTime: 0.25, // Longer frames are hitches, not steady load...
+            hitchFrames: 3      // ...unless this many come in a row (device below 4 FPS)
+        },
+        downgrade: {
+            pixelRatioStep: 0.25,
+            minPixelRatio: 0.75,
+            minShadowMapSize: 512,
+            vegetationStep: 0.2,
+            minVegetation: 0.3  // Of what was built at startup
+        }
+    },
+    
+    // Object pools - reuse instead of allocating mid-game (GC stutters on low-end devices)
+    pooling: { animalsPerType: 6, popups: 6 },
     
     // UI
     shootCooldown: 500,
@@ -128,11 +316,14 @@ export const CONFIG = {
     firstSpawnDelay: 500,      // Delay before first animal spawns (ms)
     nextSpawnDelay: 300,       // Delay before next animal spawns after kill (ms)
     
-    // Audio
+    // Audio (bus levels, 0..1) - master is multiplied by the SDK volume
     audio: {
         enabled: true,
+        masterVolume: 1.0,
+        musicVolume: 0.5,
         ambientVolume: 0.3,
-        sfxVolume: 0.7
+        sfxVolume: 0.7,
+        rampTime: 0.15        // Gain ramp duration in seconds (avoids clicks)
     }
 };
 
@@ -0,0 +1,148 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config';
+
+const STANDING = ['idle', 'graze', 'alert'];
+
+/**
+ * Animation state controller for a GLB animal
+ *
+ * Crossfades between idle, graze, alert, walk, run and death clips. States are
+ * resolved to clips once: a state the model has no clip for borrows another
+ * state's clip (CONFIG.animation.fallbacks) - a standing state that ends up on
+ * a walk/run clip holds it still instead of walking in place.
+ */
+export class AnimalAnimator {
+    /**
+     * @param {THREE.Object3D} model - Skinned model root (SkeletonUtils clone)
+     * @param {THREE.AnimationClip[]} clips - Clips loaded with the GLB
+     * @param {Object} [clipNames] - Per-state name overrides for this model (state -> names)
+     */
+    constructor(model, clips = [], clipNames = {}) {
+        this.mixer = new THREE.AnimationMixer(model);
+        this.clips = clips;
+        this.clipNames = clipNames;
+        this.states = new Map();   // state -> { action, still }
+        this.state = null;
+        this.current = null;       // Playing action
+        this.dead = false;
+        
+        ['walk', 'run', 'idle', 'graze', 'alert', 'death'].forEach(state => {
+            this.states.set(state, this.resolve(state));
+        });
+    }
+    
+    get config() {
+        return CONFIG.animation || {};
+    }
+    
+    findClip(state) {
+        const names = this.clipNames[state] || this.config.clips?.[state] || [state];
+        return this.clips.find(clip => names.some(name => clip.name.toLowerCase().includes(name))) || null;
+    }
+    
+    /**
+     * Action for a state, following fallbacks for missing clips (death has none)
+     */
+    resolve(state) {
+        const seen = new Set();
+        let source = state;
+        
+        while (source && !seen.has(source)) {
+            seen.add(source);
+            const clip = this.findClip(source);
+            if (clip) {
+                return {
+                    action: this.mixer.clipAction(clip),
+                    still: STANDING.includes(state) && !STANDING.includes(source)
+                };
+            }
+            source = this.config.fallbacks?.[source];
+        }
+        
+        // Last resort for living states - any clip at all, held still
+        if (state !== 'death' && this.clips[0]) {
+            return { action: this.mixer.clipAction(this.clips[0]), still: STANDING.includes(state) };
+        }
+        return null;
+    }
+    
+    /**
+     * Animation state from movement and AI state
+     */
+    static getState(data) {
+        if (data.state === 'alert') return 'alert';
+        if (data.speed <= 0.05) return data.grazing ? 'graze' : 'idle';
+        
+        const runSpeed = CONFIG.animation?.runSpeed ?? 4.5;
+        const running = data.state === 'fleeing' || data.state === 'charging';
+        return running || data.speed > runSpeed ? 'run' : 'walk';
+    }
+    
+    /**
+     * Crossfade to a state and keep clip speed matched to movement speed
+     */
+    update(state, speed) {
+        if (this.dead) return;
+        
+        const entry = this.states.get(state);
+        if (!entry) return;
+        
+        if (entry.action !== this.current) {
+            const fade = this.config.crossfade ?? 0.35;
+            entry.action.reset().play();
+            if (this.current) this.current.crossFadeTo(entry.action, fade, false);
+            this.current = entry.action;
+        }
+        this.state = state;
+        
+        if (entry.still) {
+            entry.action.timeScale = 0;
+        } else if (state === 'walk' || state === 'run') {
+            // A run that borrowed the walk clip keeps the walk pacing
+            const ownRun = state === 'run' && this.findClip('run');
+            const perSpeed = ownRun ? this.config.runTimeScale ?? 0.3 : this.config.walkTimeScale ?? 0.5;
+            entry.action.timeScale = speed * perSpeed;
+        } else {
+            entry.action.timeScale = 1;
+        }
+    }
+    
+    /**
+     * Play the death clip once
+     * @returns {number} Clip length in seconds at this pace, 0 if the model has no death clip
+     */
+    playDeath(timeScale = 1) {
+        const entry = this.states.get('death');
+        if (!entry) return 0;
+        
+        this.dead = true;
+        const action = entry.action;
+        action.reset();
+        action.setLoop(THREE.LoopOnce);
+        action.clampWhenFinished = true;
+        action.timeScale = timeScale;
+        action.play();
+        if (this.current && this.current !== action) {
+            this.current.crossFadeTo(action, Math.min(this.config.crossfade ?? 0.35, 0.2), false);
+        }
+        this.current = action;
+        this.state = 'death';
+        
+        return action.getClip().duration / timeScale;
+    }
+    
+    /**
+     * Back to no state - the body is going into the pool
+     */
+    reset() {
+        this.mixer.stopAllAction();
+        this.current = null;
+        this.state = null;
+        this.dead = false;
+    }
+    
+    dispose() {
+        this.mixer.stopAllAction();
+        this.mixer.uncacheRoot(this.mixer.getRoot());
+    }
+}
@@ -0,0 +1,286 @@
+import * as THREE from 'three';
+import deerModelSrc from '../assets/deer.glb';
+import bearModelSrc from '../assets/bear.glb';
+
+/**
+ * Animal type registry - everything a species needs in one entry
+ *
+ *   name, chance, points, boundingRadius, speedMultiplier - gameplay basics
+ *   model      - GLB asset { src, scale, rotationY } turned to face +X (null = procedural only);
+ *                loaded once, cloned per animal with SkeletonUtils, placeholders swapped on arrival
+ *   clips      - per-state clip name overrides (defaults in CONFIG.animation.clips)
+ *   label      - price tag style and its height above the animal
+ *   colors     - procedural materials, handed to build() as kit.m
+ *   build(kit) - procedural body, used until the GLB loads (or for good without one)
+ *   gait       - procedural leg swing and how often the animal picks a new heading (s)
+ *   aggression - optional: charges the tower at `chargeSpeed` m/s after the listed triggers
+ *                ('miss', 'wound') when CONFIG.danger is enabled
+ *   perception - awareness and fleeing (see AnimalManager.updateAwareness)
+ *   hitZones   - hit capsules in animal local space (+X = forward, Y = up)
+ *
+ * New species: add an entry here or call registerAnimalType() before spawning.
+ */
+export const AnimalTypes = {
+    deer: {
+        name: 'DEER',
+        chance: 0.45, points: 200, boundingRadius: 1, speedMultiplier: 1.0,
+        model: { src: deerModelSrc, scale: 1.85, rotationY: Math.PI / 2 },
+        clips: {},
+        label: {
+            level: 3, height: 2.8, circleColor: '#ffd700', nameGradient: ['#ffd700', '#c5a000'],
+            priceGradient: ['#b8860b', '#8b6914'], textColor: '#5a4a00', circleTextColor: '#5a4a00'
+        },
+        colors: { deer: 0x9c6b4a, deerLight: 0xc49a6c, antler: 0x8b7355 },
+        build: buildDeer,
+        gait: { legSpeed: 4, legSwing: 0.4, retarget: [3, 8] },
+        // Awareness: hears shots within `hearing` m, notices the tower inside a `sightAngle`° cone
+        // up to `sightRange` m, sprints at animalSpeed.max × sprint × speedMultiplier when scared (times in ms)
+        perception: {
+            hearing: 90, sightRange: 40, sightAngle: 110, sightCooldown: 8000, alertTime: 2500,
+            sprint: 2.0, fleeTime: 4000, fleeRadius: 95, grazeChance: 0.35, grazeTime: [2000, 5000]
+        },
+        // Hit capsules in animal local space (+X = forward, Y = up), matched to the GLB model
+        hitZones: [
+            { zone: 'head', start: [1.05, 2.25, 0], end: [1.4, 2.35, 0], radius: 0.22 },
+            { zone: 'vitals', start: [0.2, 1.5, 0], end: [0.65, 1.5, 0], radius: 0.3 },
+            { zone: 'body', start: [0.7, 1.8, 0], end: [1.1, 2.2, 0], radius: 0.18 },     // Neck
+            { zone: 'body', start: [-0.85, 1.65, 0], end: [0.7, 1.65, 0], radius: 0.42 },
+            { zone: 'leg', start: [0.55, 0.1, 0], end: [0.55, 1.2, 0], radius: 0.18 },
+            { zone: 'leg', start: [-0.65, 0.1, 0], end: [-0.65, 1.25, 0], radius: 0.2 }
+        ]
+    },
+    bear: {
+        name: 'BEAR',
+        chance: 0.30, points: 150, boundingRadius: 1, speedMultiplier: 0.7,
+        model: { src: bearModelSrc, scale: 2, rotationY: Math.PI / 2 },
+        clips: {},
+        label: {
+            level: 2, height: 3, circleColor: '#9b59b6', nameGradient: ['#9b59b6', '#7d3c98'],
+            priceGradient: ['#6c3483', '#512e5f'], textColor: '#ffffff', circleTextColor: '#ffffff'
+        },
+        colors: { bear: 0x5c4033, bearDark: 0x3d2a22, snout: 0x7a5a4a },
+        build: buildBear,
+        gait: { legSpeed: 4, legSwing: 0.4, retarget: [3, 8] },
+        aggression: { chargeSpeed: 6, on: ['miss', 'wound'] },
+        perception: {
+            hearing: 60, sightRange: 25, sightAngle: 90, sightCooldown: 10000, alertTime: 3000,
+            sprint: 1.7, fleeTime: 3000, fleeRadius: 90, grazeChance: 0.3, grazeTime: [3000, 6000]
+        },
+        hitZones: [
+            { zone: 'head', start: [1.3, 1.45, 0], end: [1.75, 1.4, 0], radius: 0.3 },
+            { zone: 'vitals', start: [0.4, 1.2, 0], end: [0.9, 1.2, 0], radius: 0.35 },
+            { zone: 'body', start: [-1.0, 1.35, 0], end: [1.0, 1.45, 0], radius: 0.6 },
+            { zone: 'leg', start: [0.8, 0.1, 0], end: [0.8, 0.9, 0], radius: 0.22 },
+            { zone: 'leg', start: [-0.8, 0.1, 0], end: [-0.8, 0.9, 0], radius: 0.22 }
+        ]
+    },
+    rabbit: {
+        name: 'HARE',
+        chance: 0.25, points: 100, boundingRadius: 1, speedMultiplier: 1.5,
+        // No rabbit GLB yet - add src/assets/rabbit.glb and set { src, scale, rotationY } to switch over
+        model: null,
+        clips: {},
+        label: {
+            level: 1, height: 1.5, circleColor: '#e0e0e0', nameGradient: ['#f5f5f5', '#d0d0d0'],
+            priceGradient: ['#4a4a4a', '#2a2a2a'], textColor: '#333333', circleTextColor: '#333333'
+        },
+        colors: { rabbit: 0xd4c4b0, rabbitLight: 0xf5f0e8, rabbitEar: 0xffcccc },
+        build: buildRabbit,
+        gait: { legSpeed: 8, legSwing: 0.6, retarget: [2, 5] },
+        perception: {
+            hearing: 70, sightRange: 20, sightAngle: 160, sightCooldown: 6000, alertTime: 1500,
+            sprint: 2.2, fleeTime: 2500, fleeRadius: 90, grazeChance: 0.45, grazeTime: [1500, 3500]
+        },
+        hitZones: [
+            { zone: 'head', start: [0.38, 0.55, 0], end: [0.62, 0.52, 0], radius: 0.2 },
+            { zone: 'vitals', start: [0.05, 0.4, 0], end: [0.2, 0.42, 0], radius: 0.18 },
+            { zone: 'body', start: [-0.35, 0.4, 0], end: [0.25, 0.42, 0], radius: 0.32 },
+            { zone: 'leg', start: [-0.25, 0.05, 0], end: [0.25, 0.05, 0], radius: 0.12 }
+        ]
+    }
+};
+
+/**
+ * Add or replace a species at runtime
+ */
+export function registerAnimalType(id, definition) {
+    AnimalTypes[id] = definition;
+}
+
+/**
+ * Type definition (unknown ids get the deer)
+ */
+export function getAnimalType(id) {
+    return AnimalTypes[id] || AnimalTypes.deer;
+}
+
+/**
+ * Random type id weighted by each type's `chance`
+ */
+export function pickAnimalType() {
+    const ids = Object.keys(AnimalTypes);
+    const total = ids.reduce((sum, id) => sum + (AnimalTypes[id].chance || 0), 0);
+    let roll = Math.random() * total;
+    
+    for (const id of ids) {
+        roll -= AnimalTypes[id].chance || 0;
+        if (roll < 0) return id;
+    }
+    return ids[ids.length - 1];
+}
+
+// ============ PROCEDURAL BODIES ============
+// kit: { m: materials (type colors + white/tusk/black/pink), mesh(geometry, material, position, castShadow), addLegs(group, material, positions, height) }
+
+function buildDeer(kit) {
+    const deer = new THREE.Group();
+    const { m, mesh, addLegs } = kit;
+    
+    // Body
+    deer.add(mesh(new THREE.BoxGeometry(1.8, 0.9, 0.7), m.deer, [0, 1.1, 0], true));
+    
+    // Neck
+    const neck = mesh(new THREE.BoxGeometry(0.3, 0.8, 0.3), m.deer, [0.8, 1.6, 0]);
+    neck.rotation.z = -0.3;
+    deer.add(neck);
+    
+    // Head & snout
+    deer.add(mesh(new THREE.BoxGeometry(0.6, 0.45, 0.4), m.deerLight, [1.1, 2.0, 0]));
+    deer.add(mesh(new THREE.BoxGeometry(0.35, 0.25, 0.25), m.deerLight, [1.45, 1.9, 0]));
+    
+    // Ears
+    const earGeo = new THREE.ConeGeometry(0.1, 0.25, 4);
+    [-0.15, 0.15].forEach(z => {
+        const ear = mesh(earGeo, m.deer, [1.0, 2.35, z]);
+        ear.rotation.x = z > 0 ? 0.3 : -0.3;
+        deer.add(ear);
+    });
+    
+    // Antlers
+    [-0.12, 0.12].forEach(z => {
+        const antlerGroup = new THREE.Group();
+        const beam = mesh(new THREE.CylinderGeometry(0.03, 0.05, 0.7, 4), m.antler);
+        beam.rotation.z = z > 0 ? 0.4 : -0.4;
+        beam.rotation.x = 0.2;
+        antlerGroup.add(beam);
+        
+        const tine = mesh(new THREE.CylinderGeometry(0.02, 0.03, 0.3, 4), m.antler, [z > 0 ? 0.1 : -0.1, 0.2, 0]);
+        tine.rotation.z = z > 0 ? -0.5 : 0.5;
+        antlerGroup.add(tine);
+        
+        antlerGroup.position.set(1.05, 2.3, z);
+        deer.add(antlerGroup);
+    });
+    
+    // Legs
+    addLegs(deer, m.deer, [
+        [-0.55, 0.45, -0.2], [-0.55, 0.45, 0.2],
+        [0.55, 0.45, -0.2], [0.55, 0.45, 0.2]
+    ], 0.9);
+    
+    // Tail
+    deer.add(mesh(new THREE.SphereGeometry(0.12, 6, 6), m.white, [-1.0, 1.2, 0]));
+    
+    return deer;
+}
+
+function buildBear(kit) {
+    const bear = new THREE.Group();
+    const { m, mesh, addLegs } = kit;
+    
+    // Body
+    bear.add(mesh(new THREE.BoxGeometry(1.4, 0.7, 0.8), m.bear, [0, 0.65, 0], true));
+    
+    // Back hump
+    const hump = mesh(new THREE.SphereGeometry(0.35, 8, 6), m.bearDark, [-0.2, 1.0, 0]);
+    hump.scale.set(1.2, 0.8, 1);
+    bear.add(hump);
+    
+    // Head
+    bear.add(mesh(new THREE.BoxGeometry(0.5, 0.45, 0.55), m.bear, [0.8, 0.6, 0]));
+    
+    // Snout
+    const snout = mesh(new THREE.CylinderGeometry(0.18, 0.22, 0.3, 8), m.snout, [1.1, 0.5, 0]);
+    snout.rotation.z = Math.PI / 2;
+    bear.add(snout);
+    
+    // Tusks
+    const tuskGeo = new THREE.ConeGeometry(0.03, 0.15, 4);
+    [-0.15, 0.15].forEach(z => {
+        const tusk = mesh(tuskGeo, m.tusk, [1.05, 0.35, z]);
+        tusk.rotation.x = z > 0 ? -0.3 : 0.3;
+        bear.add(tusk);
+    });
+    
+    // Ears
+    const earGeo = new THREE.BoxGeometry(0.08, 0.15, 0.12);
+    [-0.2, 0.2].forEach(z => bear.add(mesh(earGeo, m.bearDark, [0.7, 0.9, z])));
+    
+    // Legs
+    addLegs(bear, m.bear, [
+        [-0.4, 0.25, -0.25], [-0.4, 0.25, 0.25],
+        [0.4, 0.25, -0.25], [0.4, 0.25, 0.25]
+    ], 0.5);
+    
+    // Tail
+    const tail = mesh(new THREE.CylinderGeometry(0.02, 0.04, 0.2, 4), m.bear, [-0.8, 0.7, 0]);
+    tail.rotation.z = 0.5;
+    bear.add(tail);
+    
+    return bear;
+}
+
+function buildRabbit(kit) {
+    const rabbit = new THREE.Group();
+    const { m, mesh, addLegs } = kit;
+    
+    // Body (oval)
+    const body = mesh(new THREE.SphereGeometry(0.35, 8, 8), m.rabbit, [0, 0.4, 0], true);
+    body.scale.set(1.3, 0.9, 1);
+    rabbit.add(body);
+    
+    // Head
+    rabbit.add(mesh(new THREE.SphereGeometry(0.22, 8, 8), m.rabbitLight, [0.4, 0.55, 0]));
+    
+    // Snout
+    rabbit.add(mesh(new THREE.SphereGeometry(0.08, 6, 6), m.rabbitLight, [0.6, 0.5, 0]));
+    
+    // Nose
+    rabbit.add(mesh(new THREE.SphereGeometry(0.03, 4, 4), m.pink, [0.68, 0.52, 0]));
+    
+    // Eyes
+    [-0.08, 0.08].forEach(z => {
+        rabbit.add(mesh(new THREE.SphereGeometry(0.04, 6, 6), m.black, [0.52, 0.62, z]));
+    });
+    
+    // Long ears
+    const earGeo = new THREE.CapsuleGeometry(0.05, 0.35, 4, 8);
+    [-0.08, 0.08].forEach(z => {
+        const ear = mesh(earGeo, m.rabbitEar, [0.25, 0.95, z]);
+        ear.rotation.z = z > 0 ? 0.2 : -0.2;
+        ear.rotation.x = z > 0 ? 0.15 : -0.15;
+        rabbit.add(ear);
+    });
+    
+    // Front legs
+    const frontLegGeo = new THREE.CylinderGeometry(0.04, 0.035, 0.25, 4);
+    [-0.12, 0.12].forEach(z => {
+        const leg = mesh(frontLegGeo, m.rabbit, [0.25, 0.12, z]);
+        leg.userData = { isLeg: true, legIndex: z > 0 ? 1 : 0 };
+        rabbit.add(leg);
+    });
+    
+    // Back legs (bigger, bent)
+    const backLegGeo = new THREE.CapsuleGeometry(0.06, 0.2, 4, 8);
+    [-0.15, 0.15].forEach((z, i) => {
+        const leg = mesh(backLegGeo, m.rabbit, [-0.25, 0.18, z]);
+        leg.rotation.z = 0.4;
+        leg.userData = { isLeg: true, legIndex: i + 2 };
+        rabbit.add(leg);
+    });
+    
+    // Fluffy tail
+    rabbit.add(mesh(new THREE.SphereGeometry(0.1, 6, 6), m.white, [-0.45, 0.4, 0]));
+    
+    return rabbit;
+}
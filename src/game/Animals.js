@@ -2,207 +2,216 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils.js';
 import { CONFIG } from '../config';
-import deerModelSrc from '../assets/deer.glb';
-import bearModelSrc from '../assets/bear.glb';
 import { createDracoLoader } from '../utils/dracoLoader';
+import { Navigation } from './Navigation';
+import { AnimalAnimator } from './AnimalAnimator';
+import { AnimalTypes, getAnimalType, pickAnimalType } from './AnimalTypes';
+import { BloodTrail } from './BloodTrail';
 
 /**
  * Animal factory and management
  */
 export class AnimalManager {
-    constructor(scene, world = null) {
+    constructor(scene, world = null, scheduler = null) {
         this.scene = scene;
         this.world = world;
+        this.scheduler = scheduler; // Game scheduler (death/respawn timers follow game clock)
         this.animals = [];
-        this.materials = this.createMaterials();
-        this.labelTextures = new Map(); // Cache for label textures
+        this.materials = new Map(); // Procedural materials per type
+        this.labelTextures = new Map(); // Label textures per "type:points" (drawn once)
         
-        // Deer model from GLB
-        this.deerModel = null;
-        this.deerAnimations = null;
+        // Pools - removed animals and labels wait here to be reused (no GC churn mid-game)
+        this.pool = new Map();      // type -> idle animal bodies
+        this.labelPool = [];
         
-        // Bear model from GLB
-        this.bearModel = null;
-        this.bearAnimations = null;
+        // GLB pipeline - one shared loader, each asset downloaded once even if several types use it
+        this.loader = null;
+        this.assets = new Map();    // src -> { loaded, scene, animations, waiting: Set<type> }
+        this.models = new Map();    // type -> loaded asset
         
         this.mixers = []; // Animation mixers for all animated animals
-        this.loadDeerModel();
-        this.loadBearModel();
+        
+        // Shooter position - animals see it and flee from it (set by Game)
+        this.towerPosition = new THREE.Vector3();
+        
+        // Obstacle/slope avoidance and trails (needs the world's tree and rock placements)
+        this.navigation = world ? new Navigation(world) : null;
+        
+        // Decals behind wounded animals
+        this.bloodTrail = new BloodTrail(scene);
+        this.loadModels();
+    }
+    
+    /**
+     * Preload the GLB of every registered type that has one
+     */
+    loadModels() {
+        Object.keys(AnimalTypes).forEach(type => this.requestModel(type));
     }
     
-    loadDeerModel() {
-        const loader = new GLTFLoader();
-        loader.setDRACOLoader(createDracoLoader());
+    getLoader() {
+        if (!this.loader) {
+            this.loader = new GLTFLoader();
+            this.loader.setDRACOLoader(createDracoLoader());
+        }
+        return this.loader;
+    }
+    
+    /**
+     * Start loading a type's GLB - no-op without a model or when it's loaded/loading.
+     * Animals spawned meanwhile use the procedural placeholder and are swapped on arrival.
+     */
+    requestModel(type) {
+        const src = AnimalTypes[type]?.model?.src;
+        if (!src || this.models.has(type)) return;
+        
+        const existing = this.assets.get(src);
+        if (existing) {
+            if (existing.loaded) this.onModelLoaded(type, existing);
+            else existing.waiting.add(type);
+            return;
+        }
         
-        loader.load(deerModelSrc, (gltf) => {
-            this.deerModel = gltf.scene;
-            this.deerAnimations = gltf.animations;
-            
-            // Setup materials for the deer model
-            this.deerModel.traverse((child) => {
+        const asset = { loaded: false, scene: null, animations: [], waiting: new Set([type]) };
+        this.assets.set(src, asset);
+        
+        this.getLoader().load(src, (gltf) => {
+            gltf.scene.traverse((child) => {
                 if (child.isMesh) {
                     child.castShadow = true;
                     child.receiveShadow = true;
                 }
             });
+            asset.scene = gltf.scene;
+            asset.animations = gltf.animations;
+            asset.loaded = true;
             
-            console.log('Deer model loaded with animations:', this.deerAnimations.map(a => a.name));
+            console.log(`Animal model for ${[...asset.waiting].join(', ')} loaded with animations:`, gltf.animations.map(a => a.name));
             
-            // Replace all existing procedural deer with GLB models
-            this.upgradeExistingDeer();
+            asset.waiting.forEach(waitingType => this.onModelLoaded(waitingType, asset));
+            asset.waiting.clear();
         }, undefined, (error) => {
-            console.error('Error loading deer model:', error);
+            // Types keep their procedural body
+            console.error(`Error loading animal model for ${[...asset.waiting].join(', ')}:`, error);
         });
     }
     
-    loadBearModel() {
-        const loader = new GLTFLoader();
-        loader.setDRACOLoader(createDracoLoader());
+    onModelLoaded(type, asset) {
+        this.models.set(type, asset);
         
-        loader.load(bearModelSrc, (gltf) => {
-            this.bearModel = gltf.scene;
-            this.bearAnimations = gltf.animations;
-            
-            // Setup materials for the bear model
-            this.bearModel.traverse((child) => {
-                if (child.isMesh) {
-                    child.castShadow = true;
-                    child.receiveShadow = true;
-                }
-            });
-            
-            console.log('Bear model loaded with animations:', this.bearAnimations.map(a => a.name));
-            
-            // Replace all existing procedural bears with GLB bear models
-            this.upgradeExistingBear();
-        }, undefined, (error) => {
-            console.error('Error loading bear model:', error);
-        });
+        // Replace all existing procedural animals of this type with GLB models
+        this.upgradeExisting(type);
     }
     
     /**
-     * Replace existing procedural deer with loaded GLB models
+     * Hot-swap living procedural placeholders of a type for the loaded GLB model
+     * (group, userData, label and movement are kept - only the body changes)
      */
-    upgradeExistingDeer() {
+    upgradeExisting(type) {
         this.animals.forEach(animal => {
-            if (animal.userData.type === 'deer' && !animal.userData.mixer) {
-                // Save current state
-                const position = animal.position.clone();
-                const rotationY = animal.rotation.y;
-                const userData = { ...animal.userData };
-                
-                // Remove old children (procedural geometry)
-                while (animal.children.length > 0) {
-                    const child = animal.children[0];
-                    animal.remove(child);
-                    if (child.geometry) child.geometry.dispose();
-                    if (child.material) {
-                        if (Array.isArray(child.material)) {
-                            child.material.forEach(m => m.dispose());
-                        } else {
-                            child.material.dispose();
-                        }
-                    }
-                }
-                
-                // Add GLB model (use SkeletonUtils.clone for animated models)
-                const model = SkeletonUtils.clone(this.deerModel);
-                model.scale.set(1.85, 1.85, 1.85);
-                model.rotation.y = Math.PI / 2;
-                animal.add(model);
-                
-                // Setup animation mixer
-                const mixer = new THREE.AnimationMixer(model);
-                animal.userData.mixer = mixer;
-                
-                // Find and play the Walk animation
-                const walkAnim = this.deerAnimations.find(a => a.name.toLowerCase().includes('walk'));
-                if (walkAnim) {
-                    const action = mixer.clipAction(walkAnim);
-                    action.play();
-                    animal.userData.walkAction = action;
-                }
-                
-                this.mixers.push(mixer);
-                
-                // Restore position and rotation
-                animal.position.copy(position);
-                animal.rotation.y = rotationY;
-                
-                console.log('Upgraded deer to GLB model');
+            const data = animal.userData;
+            if (data.type !== type || data.animator || !data.alive) return;
+            
+            // Remove old children (procedural geometry - materials are shared per type)
+            while (animal.children.length > 0) {
+                const child = animal.children[0];
+                animal.remove(child);
+                child.traverse(node => node.geometry?.dispose());
             }
+            
+            this.addModel(animal, type);
+            console.log(`Upgraded ${type} to GLB model`);
         });
     }
     
     /**
-     * Replace existing procedural bears with loaded GLB bear models
+     * Animal body - the type's GLB once loaded, its procedural build until then (or for good)
      */
-    upgradeExistingBear() {
-        this.animals.forEach(animal => {
-            if (animal.userData.type === 'bear' && !animal.userData.mixer) {
-                // Save current state
-                const position = animal.position.clone();
-                const rotationY = animal.rotation.y;
-                const userData = { ...animal.userData };
-                
-                // Remove old children (procedural geometry)
-                while (animal.children.length > 0) {
-                    const child = animal.children[0];
-                    animal.remove(child);
-                    if (child.geometry) child.geometry.dispose();
-                    if (child.material) {
-                        if (Array.isArray(child.material)) {
-                            child.material.forEach(m => m.dispose());
-                        } else {
-                            child.material.dispose();
-                        }
-                    }
-                }
-                
-                // Add GLB model (use SkeletonUtils.clone for animated models)
-                const model = SkeletonUtils.clone(this.bearModel);
-                model.scale.set(2, 2, 2);
-                model.rotation.y = Math.PI / 2;
-                animal.add(model);
-                
-                // Setup animation mixer
-                const mixer = new THREE.AnimationMixer(model);
-                animal.userData.mixer = mixer;
-                
-                // Find and play the Walk animation
-                const walkAnim = this.bearAnimations.find(a => a.name.toLowerCase().includes('walk'));
-                if (walkAnim) {
-                    const action = mixer.clipAction(walkAnim);
-                    action.play();
-                    animal.userData.walkAction = action;
-                }
-                
-                this.mixers.push(mixer);
-                
-                // Restore position and rotation
-                animal.position.copy(position);
-                animal.rotation.y = rotationY;
-                
-                console.log('Upgraded bear to GLB model');
-            }
+    createBody(type) {
+        this.requestModel(type);
+        if (this.models.has(type)) {
+            const animal = new THREE.Group();
+            this.addModel(animal, type);
+            return animal;
+        }
+        
+        return getAnimalType(type).build({
+            m: this.getMaterials(type),
+            mesh: (...args) => this.mesh(...args),
+            addLegs: (...args) => this.addLegs(...args)
         });
     }
     
     /**
-     * Create 3D label for animal with name and price
+     * Add a clone of the type's GLB, turned to face +X, with its animation states
+     */
+    addModel(animal, type) {
+        const def = getAnimalType(type);
+        const { scene, animations } = this.models.get(type);
+        
+        // Use SkeletonUtils.clone for animated models with skeletons
+        const model = SkeletonUtils.clone(scene);
+        model.scale.setScalar(def.model.scale ?? 1);
+        model.rotation.y = def.model.rotationY ?? 0;
+        animal.add(model);
+        
+        // Animation states (idle/graze/alert/walk/run/death)
+        this.attachAnimator(animal, model, animations, def.clips);
+    }
+    
+    /**
+     * Animation state controller for a GLB model - its mixer is updated with the others
+     */
+    attachAnimator(animal, model, clips, clipNames) {
+        const animator = new AnimalAnimator(model, clips, clipNames);
+        animal.userData.animator = animator;
+        animal.userData.mixer = animator.mixer;
+        this.mixers.push(animator.mixer);
+    }
+    
+    /**
+     * Create 3D label for animal with name and price (pooled sprite, cached texture)
      */
     createLabel(type, points) {
-        const names = { deer: 'DEER', bear: 'BEAR', rabbit: 'HARE' };
-        const name = names[type] || type.toUpperCase();
-        
-        // Level and color scheme per animal type
-        // Deer: Level 3, Gold | Bear: Level 2, Purple | Rabbit: Level 1, Gray
-        const levelConfig = {
-            deer: { level: 3, circleColor: '#ffd700', nameGradient: ['#ffd700', '#c5a000'], priceGradient: ['#b8860b', '#8b6914'], textColor: '#5a4a00', circleTextColor: '#5a4a00' },
-            bear: { level: 2, circleColor: '#9b59b6', nameGradient: ['#9b59b6', '#7d3c98'], priceGradient: ['#6c3483', '#512e5f'], textColor: '#ffffff', circleTextColor: '#ffffff' },
-            rabbit: { level: 1, circleColor: '#e0e0e0', nameGradient: ['#f5f5f5', '#d0d0d0'], priceGradient: ['#4a4a4a', '#2a2a2a'], textColor: '#333333', circleTextColor: '#333333' }
-        };
-        const config = levelConfig[type] || levelConfig.rabbit;
+        const texture = this.getLabelTexture(type, points);
+        const pooled = this.labelPool.pop();
+        if (pooled) {
+            pooled.material.map = texture;
+            pooled.visible = false;
+            return pooled;
+        }
+        
+        // Create sprite material (unlit - no lighting/fog affects it)
+        const material = new THREE.SpriteMaterial({
+            map: texture,
+            transparent: true,
+            depthTest: false,
+            depthWrite: false,
+            fog: false,           // Disable fog
+            toneMapped: false     // Disable tone mapping
+        });
+        
+        // Create sprite
+        const sprite = new THREE.Sprite(material);
+        sprite.scale.set(4, 2, 1); // Adjust size
+        sprite.visible = false; // Hidden by default
+        sprite.renderOrder = 999; // Render on top
+        
+        return sprite;
+    }
+    
+    /**
+     * Label texture for a type and price - drawn on first use, then shared
+     */
+    getLabelTexture(type, points) {
+        const key = `${type}:${points}`;
+        if (this.labelTextures.has(key)) return this.labelTextures.get(key);
+        
+        const def = getAnimalType(type);
+        const name = def.name || type.toUpperCase();
+        
+        // Level and color scheme come from the type's label style
+        const config = def.label;
         
         // Create canvas for label texture
         const canvas = document.createElement('canvas');
@@ -311,24 +320,9 @@ export class AnimalManager {
         // Create texture from canvas
         const texture = new THREE.CanvasTexture(canvas);
         texture.needsUpdate = true;
+        this.labelTextures.set(key, texture);
         
-        // Create sprite material (unlit - no lighting/fog affects it)
-        const material = new THREE.SpriteMaterial({
-            map: texture,
-            transparent: true,
-            depthTest: false,
-            depthWrite: false,
-            fog: false,           // Disable fog
-            toneMapped: false     // Disable tone mapping
-        });
-        
-        // Create sprite
-        const sprite = new THREE.Sprite(material);
-        sprite.scale.set(4, 2, 1); // Adjust size
-        sprite.visible = false; // Hidden by default
-        sprite.renderOrder = 999; // Render on top
-        
-        return sprite;
+        return texture;
     }
     
     /**
@@ -369,8 +363,7 @@ export class AnimalManager {
             
             const label = animal.userData.label;
             // Position label above animal's head
-            const heightOffset = animal.userData.type === 'rabbit' ? 1.5 : 
-                                 animal.userData.type === 'bear' ? 3 : 2.8;
+            const heightOffset = getAnimalType(animal.userData.type).label?.height ?? 2.8;
             label.position.copy(animal.position);
             label.position.y += heightOffset;
         });
@@ -397,240 +390,25 @@ export class AnimalManager {
         };
     }
     
-    createMaterials() {
-        const { colors } = CONFIG;
-        return {
-            deer: new THREE.MeshLambertMaterial({ color: colors.animals.deer.main }),
-            deerLight: new THREE.MeshLambertMaterial({ color: colors.animals.deer.light }),
-            antler: new THREE.MeshLambertMaterial({ color: colors.animals.deer.antler }),
-            bear: new THREE.MeshLambertMaterial({ color: colors.animals.bear.main }),
-            bearDark: new THREE.MeshLambertMaterial({ color: colors.animals.bear.dark }),
-            snout: new THREE.MeshLambertMaterial({ color: colors.animals.bear.snout }),
-            rabbit: new THREE.MeshLambertMaterial({ color: colors.animals.rabbit.main }),
-            rabbitLight: new THREE.MeshLambertMaterial({ color: colors.animals.rabbit.light }),
-            rabbitEar: new THREE.MeshLambertMaterial({ color: colors.animals.rabbit.ear }),
-            white: new THREE.MeshLambertMaterial({ color: 0xffffff }),
-            tusk: new THREE.MeshLambertMaterial({ color: 0xfffff0 }),
-            black: new THREE.MeshLambertMaterial({ color: 0x222222 }),
-            pink: new THREE.MeshLambertMaterial({ color: 0xffaaaa })
-        };
-    }
-    
-    createDeer() {
-        // If deer model is loaded, use it with animation
-        if (this.deerModel) {
-            const deer = new THREE.Group();
-            // Use SkeletonUtils.clone for animated models with skeletons
-            const model = SkeletonUtils.clone(this.deerModel);
-            
-            // Scale the model appropriately
-            model.scale.set(1.85, 1.85, 1.85);
-            
-            // Rotate to face +X direction (model may face different direction)
-            model.rotation.y = Math.PI / 2;
-            
-            deer.add(model);
-            
-            // Setup animation mixer for this deer
-            const mixer = new THREE.AnimationMixer(model);
-            deer.userData.mixer = mixer;
-            
-            // Find and play the Walk animation
-            const walkAnim = this.deerAnimations.find(a => a.name.toLowerCase().includes('walk'));
-            if (walkAnim) {
-                const action = mixer.clipAction(walkAnim);
-                action.play();
-                deer.userData.walkAction = action;
-            }
-            
-            this.mixers.push(mixer);
-            
-            return deer;
+    /**
+     * Procedural materials for a type - its colors plus shared details, created once
+     */
+    getMaterials(type) {
+        if (!this.materials.has(type)) {
+            const colors = {
+                white: 0xffffff,
+                tusk: 0xfffff0,
+                black: 0x222222,
+                pink: 0xffaaaa,
+                ...getAnimalType(type).colors
+            };
+            const materials = {};
+            Object.entries(colors).forEach(([name, color]) => {
+                materials[name] = new THREE.MeshLambertMaterial({ color });
+            });
+            this.materials.set(type, materials);
         }
-        
-        // Fallback to procedural deer if model not loaded yet
-        const deer = new THREE.Group();
-        const m = this.materials;
-        
-        // Body
-        deer.add(this.mesh(new THREE.BoxGeometry(1.8, 0.9, 0.7), m.deer, [0, 1.1, 0], true));
-        
-        // Neck
-        const neck = this.mesh(new THREE.BoxGeometry(0.3, 0.8, 0.3), m.deer, [0.8, 1.6, 0]);
-        neck.rotation.z = -0.3;
-        deer.add(neck);
-        
-        // Head & snout
-        deer.add(this.mesh(new THREE.BoxGeometry(0.6, 0.45, 0.4), m.deerLight, [1.1, 2.0, 0]));
-        deer.add(this.mesh(new THREE.BoxGeometry(0.35, 0.25, 0.25), m.deerLight, [1.45, 1.9, 0]));
-        
-        // Ears
-        const earGeo = new THREE.ConeGeometry(0.1, 0.25, 4);
-        [-0.15, 0.15].forEach(z => {
-            const ear = this.mesh(earGeo, m.deer, [1.0, 2.35, z]);
-            ear.rotation.x = z > 0 ? 0.3 : -0.3;
-            deer.add(ear);
-        });
-        
-        // Antlers
-        [-0.12, 0.12].forEach(z => {
-            const antlerGroup = new THREE.Group();
-            const beam = this.mesh(new THREE.CylinderGeometry(0.03, 0.05, 0.7, 4), m.antler);
-            beam.rotation.z = z > 0 ? 0.4 : -0.4;
-            beam.rotation.x = 0.2;
-            antlerGroup.add(beam);
-            
-            const tine = this.mesh(new THREE.CylinderGeometry(0.02, 0.03, 0.3, 4), m.antler, [z > 0 ? 0.1 : -0.1, 0.2, 0]);
-            tine.rotation.z = z > 0 ? -0.5 : 0.5;
-            antlerGroup.add(tine);
-            
-            antlerGroup.position.set(1.05, 2.3, z);
-            deer.add(antlerGroup);
-        });
-        
-        // Legs
-        this.addLegs(deer, m.deer, [
-            [-0.55, 0.45, -0.2], [-0.55, 0.45, 0.2],
-            [0.55, 0.45, -0.2], [0.55, 0.45, 0.2]
-        ], 0.9);
-        
-        // Tail
-        deer.add(this.mesh(new THREE.SphereGeometry(0.12, 6, 6), m.white, [-1.0, 1.2, 0]));
-        
-        return deer;
-    }
-    
-    createBear() {
-        // If bear model is loaded, use it with animation
-        if (this.bearModel) {
-            const bear = new THREE.Group();
-            // Use SkeletonUtils.clone for animated models with skeletons
-            const model = SkeletonUtils.clone(this.bearModel);
-            
-            // Scale the model appropriately
-            model.scale.set(2, 2, 2);
-            
-            // Rotate to face +X direction (model may face different direction)
-            model.rotation.y = Math.PI / 2;
-            
-            bear.add(model);
-            
-            // Setup animation mixer for this bear
-            const mixer = new THREE.AnimationMixer(model);
-            bear.userData.mixer = mixer;
-            
-            // Find and play the Walk animation
-            const walkAnim = this.bearAnimations.find(a => a.name.toLowerCase().includes('walk'));
-            if (walkAnim) {
-                const action = mixer.clipAction(walkAnim);
-                action.play();
-                bear.userData.walkAction = action;
-            }
-            
-            this.mixers.push(mixer);
-            
-            return bear;
-        }
-        
-        // Fallback to procedural bear if bear model not loaded yet
-        const bear = new THREE.Group();
-        const m = this.materials;
-        
-        // Body
-        bear.add(this.mesh(new THREE.BoxGeometry(1.4, 0.7, 0.8), m.bear, [0, 0.65, 0], true));
-        
-        // Back hump
-        const hump = this.mesh(new THREE.SphereGeometry(0.35, 8, 6), m.bearDark, [-0.2, 1.0, 0]);
-        hump.scale.set(1.2, 0.8, 1);
-        bear.add(hump);
-        
-        // Head
-        bear.add(this.mesh(new THREE.BoxGeometry(0.5, 0.45, 0.55), m.bear, [0.8, 0.6, 0]));
-        
-        // Snout
-        const snout = this.mesh(new THREE.CylinderGeometry(0.18, 0.22, 0.3, 8), m.snout, [1.1, 0.5, 0]);
-        snout.rotation.z = Math.PI / 2;
-        bear.add(snout);
-        
-        // Tusks
-        const tuskGeo = new THREE.ConeGeometry(0.03, 0.15, 4);
-        [-0.15, 0.15].forEach(z => {
-            const tusk = this.mesh(tuskGeo, m.tusk, [1.05, 0.35, z]);
-            tusk.rotation.x = z > 0 ? -0.3 : 0.3;
-            bear.add(tusk);
-        });
-        
-        // Ears
-        const earGeo = new THREE.BoxGeometry(0.08, 0.15, 0.12);
-        [-0.2, 0.2].forEach(z => bear.add(this.mesh(earGeo, m.bearDark, [0.7, 0.9, z])));
-        
-        // Legs
-        this.addLegs(bear, m.bear, [
-            [-0.4, 0.25, -0.25], [-0.4, 0.25, 0.25],
-            [0.4, 0.25, -0.25], [0.4, 0.25, 0.25]
-        ], 0.5);
-        
-        // Tail
-        const tail = this.mesh(new THREE.CylinderGeometry(0.02, 0.04, 0.2, 4), m.bear, [-0.8, 0.7, 0]);
-        tail.rotation.z = 0.5;
-        bear.add(tail);
-        
-        return bear;
-    }
-    
-    createRabbit() {
-        const rabbit = new THREE.Group();
-        const m = this.materials;
-        
-        // Body (oval)
-        const body = this.mesh(new THREE.SphereGeometry(0.35, 8, 8), m.rabbit, [0, 0.4, 0], true);
-        body.scale.set(1.3, 0.9, 1);
-        rabbit.add(body);
-        
-        // Head
-        rabbit.add(this.mesh(new THREE.SphereGeometry(0.22, 8, 8), m.rabbitLight, [0.4, 0.55, 0]));
-        
-        // Snout
-        rabbit.add(this.mesh(new THREE.SphereGeometry(0.08, 6, 6), m.rabbitLight, [0.6, 0.5, 0]));
-        
-        // Nose
-        rabbit.add(this.mesh(new THREE.SphereGeometry(0.03, 4, 4), m.pink, [0.68, 0.52, 0]));
-        
-        // Eyes
-        [-0.08, 0.08].forEach(z => {
-            rabbit.add(this.mesh(new THREE.SphereGeometry(0.04, 6, 6), m.black, [0.52, 0.62, z]));
-        });
-        
-        // Long ears
-        const earGeo = new THREE.CapsuleGeometry(0.05, 0.35, 4, 8);
-        [-0.08, 0.08].forEach(z => {
-            const ear = this.mesh(earGeo, m.rabbitEar, [0.25, 0.95, z]);
-            ear.rotation.z = z > 0 ? 0.2 : -0.2;
-            ear.rotation.x = z > 0 ? 0.15 : -0.15;
-            rabbit.add(ear);
-        });
-        
-        // Front legs
-        const frontLegGeo = new THREE.CylinderGeometry(0.04, 0.035, 0.25, 4);
-        [-0.12, 0.12].forEach(z => {
-            const leg = this.mesh(frontLegGeo, m.rabbit, [0.25, 0.12, z]);
-            leg.userData = { isLeg: true, legIndex: z > 0 ? 1 : 0 };
-            rabbit.add(leg);
-        });
-        
-        // Back legs (bigger, bent)
-        const backLegGeo = new THREE.CapsuleGeometry(0.06, 0.2, 4, 8);
-        [-0.15, 0.15].forEach((z, i) => {
-            const leg = this.mesh(backLegGeo, m.rabbit, [-0.25, 0.18, z]);
-            leg.rotation.z = 0.4;
-            leg.userData = { isLeg: true, legIndex: i + 2 };
-            rabbit.add(leg);
-        });
-        
-        // Fluffy tail
-        rabbit.add(this.mesh(new THREE.SphereGeometry(0.1, 6, 6), m.white, [-0.45, 0.4, 0]));
-        
-        return rabbit;
+        return this.materials.get(type);
     }
     
     mesh(geometry, material, position = [0, 0, 0], castShadow = false) {
@@ -653,18 +431,8 @@ export class AnimalManager {
      * Spawn a random animal at a random position
      */
     spawnRandom() {
-        const types = CONFIG.animalTypes;
-        
         // Pick random animal type based on chances
-        const rand = Math.random();
-        let type;
-        if (rand < types.deer.chance) {
-            type = 'deer';
-        } else if (rand < types.deer.chance + types.bear.chance) {
-            type = 'bear';
-        } else {
-            type = 'rabbit';
-        }
+        const type = pickAnimalType();
         
         // Get random spawn position
         const pos = this.getRandomSpawnPosition();
@@ -674,55 +442,76 @@ export class AnimalManager {
     
     /**
      * Spawn specific animal at position
+     * @param {Object} [options]
+     * @param {boolean} [options.young] - Smaller juvenile (CONFIG.youngAnimals)
+     * @param {boolean} [options.protected] - Must not be shot (defaults to youngAnimals.protected for young)
+     * @param {string|Array} [options.trail] - Walk an authored trail while grazing (CONFIG.navigation.trails)
+     * @param {Array} [options.route] - Choreographed waypoints ({ x, z, speed, pause, graze, broadside, faceTower })
+     * @param {string} [options.routeEnd] - After the last waypoint: 'wander' (default), 'stop' or 'loop'
+     * @param {boolean} [options.ignoreTower] - Don't notice the tower while on the route (keeps the choreography)
      */
-    spawnAnimal(type, x, z) {
-        const types = CONFIG.animalTypes;
-        let animal;
-        
-        // Create animal based on type
-        if (type === 'deer') {
-            animal = this.createDeer();
-        } else if (type === 'bear') {
-            animal = this.createBear();
-        } else {
-            animal = this.createRabbit();
-        }
-        
-        const typeConfig = types[type] || types.deer;
+    spawnAnimal(type, x, z, options = {}) {
+        const animal = this.acquireBody(type);
+        const typeConfig = getAnimalType(type);
+        const young = options.young ? (CONFIG.youngAnimals || {}) : null;
+        const isProtected = options.protected ?? young?.protected ?? false;
         
         const y = this.getHeight(x, z);
         animal.position.set(x, y, z);
+        if (young) animal.scale.multiplyScalar(young.scale ?? 0.55);
         
         // Random direction
         const dirAngle = Math.random() * Math.PI * 2;
         const dirX = Math.sin(dirAngle);
         const dirZ = Math.cos(dirAngle);
         
-        // Preserve mixer and walkAction if they exist (for GLB models)
+        // Preserve mixer and animator if they exist (for GLB models)
         const existingMixer = animal.userData?.mixer;
-        const existingWalkAction = animal.userData?.walkAction;
+        const existingAnimator = animal.userData?.animator;
         
-        const speedMultiplier = typeConfig.speedMultiplier || 1.0;
+        const speedMultiplier = (typeConfig.speedMultiplier || 1.0) * (young?.speedMultiplier ?? 1.0);
         const baseSpeed = CONFIG.animalSpeed.min + Math.random() * (CONFIG.animalSpeed.max - CONFIG.animalSpeed.min);
         
         animal.userData = {
             type,
-            points: typeConfig.points,
+            points: isProtected ? 0 : typeConfig.points,
+            young: !!young,
+            protected: isProtected,
+            leader: null,         // Herd leader this animal follows
             boundingRadius: typeConfig.boundingRadius,
             speedMultiplier,
             speed: baseSpeed * speedMultiplier,
             direction: new THREE.Vector3(dirX, 0, dirZ).normalize(),
             changeTimer: 3 + Math.random() * 4,
+            // Awareness
+            state: 'grazing',     // grazing | alert | fleeing | returning | wounded | charging
+            stateTimer: 0,
+            sightCooldown: 0,
+            home: { x, z },
+            path: this.createPath(options, animal.position),
+            grazing: false,       // Head down (graze stop or route pause)
             walkCycle: Math.random() * Math.PI * 2,
             alive: true,
             mixer: existingMixer,
-            walkAction: existingWalkAction
+            animator: existingAnimator
         };
         
-        // Create 3D label for this animal
-        const label = this.createLabel(type, typeConfig.points);
-        animal.userData.label = label;
-        this.scene.add(label);
+        // Route walkers start off toward their first waypoint
+        const path = animal.userData.path;
+        if (path) {
+            path.speed ??= animal.userData.speed;
+            if (options.route) {
+                const first = path.points[0];
+                animal.userData.direction.set(first.x - x, 0, first.z - z).normalize();
+            }
+        }
+        
+        // Create 3D label for this animal (protected animals aren't targets)
+        if (!isProtected) {
+            const label = this.createLabel(type, typeConfig.points);
+            animal.userData.label = label;
+            this.scene.add(label);
+        }
         
         // Animal model faces +X at rotation.y=0
         animal.rotation.y = -Math.atan2(animal.userData.direction.z, animal.userData.direction.x);
@@ -732,95 +521,58 @@ export class AnimalManager {
         return animal;
     }
     
-    spawn(spawnPointIndex = null) {
-        const types = CONFIG.animalTypes;
-        let type, animal, x, z;
-        
-        // Check if using fixed spawn points
-        if (CONFIG.spawnPoints && Array.isArray(CONFIG.spawnPoints) && CONFIG.spawnPoints.length > 0) {
-            // Use specific spawn point or pick next available
-            let pointIndex = spawnPointIndex;
-            if (pointIndex === null) {
-                // Find an unused spawn point or cycle through
-                pointIndex = this.animals.length % CONFIG.spawnPoints.length;
-            }
-            
-            const spawnPoint = CONFIG.spawnPoints[pointIndex];
-            if (!spawnPoint) return null;
-            
-            type = spawnPoint.type || 'deer';
-            x = spawnPoint.x || 0;
-            z = spawnPoint.z || 0;
-        } else {
-            // Random spawn based on chances
-            const rand = Math.random();
-            
-            if (rand < types.deer.chance) {
-                type = 'deer';
-            } else if (rand < types.deer.chance + types.bear.chance) {
-                type = 'bear';
-            } else {
-                type = 'rabbit';
-            }
-            
-            // Random spawn position
-            const pos = this.getRandomSpawnPosition();
-            x = pos.x;
-            z = pos.z;
-        }
+    /**
+     * Route follower from spawn options - a choreographed route wins over a looping trail
+     */
+    createPath(options, position) {
+        if (!this.navigation) return null;
         
-        // Create animal based on type
-        if (type === 'deer') {
-            animal = this.createDeer();
-        } else if (type === 'bear') {
-            animal = this.createBear();
-        } else {
-            animal = this.createRabbit();
+        if (options.route?.length) {
+            const path = this.navigation.createFollower(options.route, { end: options.routeEnd || 'wander' });
+            if (path) path.ignoreTower = !!options.ignoreTower;
+            return path;
         }
+        if (options.trail) {
+            return this.navigation.createFollower(options.trail, { nearest: position, end: 'loop' });
+        }
+        return null;
+    }
+    
+    /**
+     * Spawn a spawn point's group - the leader at (x, z) and herd members around it
+     * @param {string|Array} [herd] - CONFIG.herds preset name or inline member list ({ type, young, protected, count })
+     * @param {Object} [leaderOptions] - spawnAnimal() options for the leader (e.g. trail)
+     * @returns {THREE.Object3D[]} Leader first
+     */
+    spawnHerd(type, x, z, herd = null, leaderOptions = {}) {
+        const leader = this.spawnAnimal(type, x, z, leaderOptions);
+        const group = [leader];
+        
+        const members = typeof herd === 'string' ? CONFIG.herds?.[herd] : herd;
+        if (herd && !members) console.warn(`Unknown herd "${herd}"`);
+        if (!members) return group;
+        
+        const spread = CONFIG.herdSpread || 4;
+        members.forEach(member => {
+            for (let i = 0; i < (member.count || 1); i++) {
+                const angle = Math.random() * Math.PI * 2;
+                const radius = spread * (0.4 + Math.random() * 0.6);
+                const animal = this.spawnAnimal(
+                    member.type || type,
+                    x + Math.cos(angle) * radius,
+                    z + Math.sin(angle) * radius,
+                    { young: member.young, protected: member.protected }
+                );
+                
+                // Walk with the leader
+                animal.userData.leader = leader;
+                animal.userData.direction.copy(leader.userData.direction);
+                animal.rotation.y = leader.rotation.y;
+                group.push(animal);
+            }
+        });
         
-        const typeConfig = types[type] || types.deer;
-        
-        const y = this.getHeight(x, z);
-        animal.position.set(x, y, z);
-        
-        // Random direction (any direction, not limited to camera area)
-        const dirAngle = Math.random() * Math.PI * 2;
-        const dirX = Math.sin(dirAngle);
-        const dirZ = Math.cos(dirAngle);
-        
-        // Preserve mixer and walkAction if they exist (for GLB deer)
-        const existingMixer = animal.userData?.mixer;
-        const existingWalkAction = animal.userData?.walkAction;
-        
-        const speedMultiplier = typeConfig.speedMultiplier || 1.0;
-        const baseSpeed = CONFIG.animalSpeed.min + Math.random() * (CONFIG.animalSpeed.max - CONFIG.animalSpeed.min);
-        
-        animal.userData = {
-            type,
-            points: typeConfig.points,
-            boundingRadius: typeConfig.boundingRadius,
-            speedMultiplier,
-            speed: baseSpeed * speedMultiplier,
-            direction: new THREE.Vector3(dirX, 0, dirZ).normalize(),
-            changeTimer: 3 + Math.random() * 4,
-            walkCycle: Math.random() * Math.PI * 2,
-            alive: true,
-            mixer: existingMixer,
-            walkAction: existingWalkAction
-        };
-        
-        // Create 3D label for this animal
-        const label = this.createLabel(type, typeConfig.points);
-        animal.userData.label = label;
-        this.scene.add(label);
-        
-        // Animal model faces +X at rotation.y=0
-        // For direction (dx, dz), angle from +X is atan2(dz, dx), but we need negative for correct orientation
-        animal.rotation.y = -Math.atan2(animal.userData.direction.z, animal.userData.direction.x);
-        
-        this.scene.add(animal);
-        this.animals.push(animal);
-        return animal;
+        return group;
     }
     
     update(delta, timeScale) {
@@ -830,34 +582,40 @@ export class AnimalManager {
         this.mixers.forEach(mixer => {
             mixer.update(realDelta);
         });
+        this.bloodTrail.update(realDelta);
+        this.updateDeaths(realDelta);
         
         this.animals.forEach(animal => {
             if (!animal.userData.alive) return;
             
             const data = animal.userData;
             
-            // Walk animation for animals without GLB animation (deer and bear use GLB animation)
-            if ((data.type !== 'deer' && data.type !== 'bear') || !data.mixer) {
-                const animSpeed = data.type === 'rabbit' ? 8 : 4;
-                data.walkCycle += realDelta * data.speed * animSpeed;
+            // Leg swing for procedural bodies (GLB models have their animator)
+            if (!data.animator) {
+                const gait = getAnimalType(data.type).gait || {};
+                data.walkCycle += realDelta * data.speed * (gait.legSpeed ?? 4);
                 animal.children.forEach(child => {
                     if (child.userData.isLeg) {
                         const offset = child.userData.legIndex < 2 ? 0 : Math.PI;
                         const side = child.userData.legIndex % 2 === 0 ? 1 : -1;
-                        const amplitude = data.type === 'rabbit' ? 0.6 : 0.4;
+                        const amplitude = gait.legSwing ?? 0.4;
                         // Rotate around Z for forward/backward leg swing (animal faces +X)
                         child.rotation.z = Math.sin(data.walkCycle + offset) * amplitude * side;
                     }
                 });
             }
             
-            // Adjust animation speed based on movement speed for deer
-            if (data.mixer && data.walkAction) {
-                data.walkAction.timeScale = data.speed * 0.5;
+            // Steer around trees, rocks and steep slopes
+            const clearance = (data.boundingRadius || 1) * animal.scale.x * 0.6;
+            if (this.navigation && data.speed > 0) {
+                if (!this.navigation.steer(animal.position, data.direction, clearance)) {
+                    this.onBoxedIn(animal);
+                }
             }
             
             // Movement
             animal.position.addScaledVector(data.direction, data.speed * realDelta);
+            this.navigation?.resolve(animal.position, clearance);
             
             // Update Y position to follow terrain
             animal.position.y = this.getHeight(animal.position.x, animal.position.z);
@@ -871,31 +629,417 @@ export class AnimalManager {
                 rotSmoothing
             );
             
-            // Direction change - pick random direction for natural wandering
-            data.changeTimer -= realDelta;
-            if (data.changeTimer <= 0) {
-                // New random direction (full 360°)
-                const newAngle = Math.random() * Math.PI * 2;
-                data.direction.set(Math.sin(newAngle), 0, Math.cos(newAngle)).normalize();
-                data.changeTimer = data.type === 'rabbit' ? 2 + Math.random() * 3 : 3 + Math.random() * 5;
-                const baseSpeed = CONFIG.animalSpeed.min + Math.random() * (CONFIG.animalSpeed.max - CONFIG.animalSpeed.min);
-                data.speed = baseSpeed * (data.speedMultiplier || 1.0);
+            // Perception and reaction (grazing / alert / fleeing / returning / wounded / charging)
+            this.updateAwareness(animal, realDelta);
+            
+            // Relaxed animals wander - herd members stay with their leader
+            if (data.state === 'grazing') {
+                this.updateWander(animal, realDelta);
             }
             
-            // Boundary check - keep animals in playable area (circular)
-            const dist = Math.hypot(animal.position.x, animal.position.z);
-            const maxDist = CONFIG.spawnRadius.max + 10;
-            const minDist = 15;
+            // GLB clip follows what the animal is doing
+            data.animator?.update(AnimalAnimator.getState(data), data.speed);
+        });
+    }
+    
+    /**
+     * Random wandering with grazing stops, kept inside the playable ring
+     */
+    updateWander(animal, delta) {
+        const data = animal.userData;
+        const perception = this.getPerception(data.type);
+        
+        // Herd members follow their leader, catching up when they fall behind
+        const leader = data.leader?.userData.alive ? data.leader : null;
+        const spread = CONFIG.herdSpread || 4;
+        
+        // Route/trail walkers follow their waypoints instead of wandering
+        if (data.path && !leader) {
+            this.updateRoute(animal, delta);
+            return;
+        }
+        
+        // Direction change - pick random direction for natural wandering
+        data.changeTimer -= delta;
+        if (leader && animal.position.distanceTo(leader.position) > spread * 1.5) {
+            data.direction.set(leader.position.x - animal.position.x, 0, leader.position.z - animal.position.z).normalize();
+            data.speed = Math.max(leader.userData.speed, CONFIG.animalSpeed.min) * 1.3;
+            data.changeTimer = 0.5;
+        } else if (leader && data.changeTimer <= 0) {
+            const angle = Math.atan2(leader.userData.direction.x, leader.userData.direction.z) + (Math.random() - 0.5) * 0.6;
+            data.direction.set(Math.sin(angle), 0, Math.cos(angle));
+            data.speed = leader.userData.speed;
+            data.changeTimer = 1 + Math.random() * 2;
+        } else if (data.changeTimer <= 0 && data.speed > 0 && Math.random() < (perception.grazeChance ?? 0)) {
+            // Stop and graze for a while
+            const [min, max] = perception.grazeTime || [2000, 4000];
+            data.speed = 0;
+            data.grazing = true;
+            data.changeTimer = (min + Math.random() * (max - min)) / 1000;
+        } else if (data.changeTimer <= 0) {
+            // New random direction (full 360°)
+            const newAngle = Math.random() * Math.PI * 2;
+            data.direction.set(Math.sin(newAngle), 0, Math.cos(newAngle)).normalize();
+            const [min, max] = getAnimalType(data.type).gait?.retarget || [3, 8];
+            data.changeTimer = min + Math.random() * (max - min);
+            data.speed = this.getWalkSpeed(data);
+            data.grazing = false;
+        }
+        
+        // Boundary check - keep animals in playable area (circular)
+        const dist = Math.hypot(animal.position.x, animal.position.z);
+        const maxDist = CONFIG.spawnRadius.max + 10;
+        const minDist = 15;
+        
+        // Check radius bounds
+        if (dist > maxDist) {
+            // Too far - turn toward center
+            data.direction.set(-animal.position.x, 0, -animal.position.z).normalize();
+            data.changeTimer = 1 + Math.random() * 2;
+        } else if (dist < minDist) {
+            // Too close to center - turn away
+            data.direction.set(animal.position.x, 0, animal.position.z).normalize();
+            data.changeTimer = 1 + Math.random() * 2;
+        }
+    }
+    
+    /**
+     * Walk an authored route or trail
+     * Waypoint options: speed (m/s on the way to the point), pause (ms to hold there),
+     * graze (graze while holding), broadside (stand side-on to the tower), faceTower (stare at the tower)
+     */
+    updateRoute(animal, delta) {
+        const data = animal.userData;
+        const path = data.path;
+        
+        // Holding at a waypoint
+        if (path.wait > 0) {
+            path.wait -= delta;
+            data.speed = 0;
+            if (path.facing) data.direction.copy(path.facing);
+            if (path.wait > 0) return;
+            data.grazing = false;
+            path.facing = null;
+        }
+        
+        if (this.navigation.hasArrived(animal.position, path)) {
+            const point = path.points[path.index];
+            if (point.pause && !path.waited) {
+                path.waited = true;
+                path.wait = point.pause / 1000;
+                path.facing = this.getWaypointFacing(animal, point);
+                data.grazing = !!point.graze;
+                data.speed = 0;
+                return;
+            }
             
-            // Check radius bounds
-            if (dist > maxDist) {
-                // Too far - turn toward center
-                data.direction.set(-animal.position.x, 0, -animal.position.z).normalize();
-                data.changeTimer = 1 + Math.random() * 2;
-            } else if (dist < minDist) {
-                // Too close to center - turn away
-                data.direction.set(animal.position.x, 0, animal.position.z).normalize();
+            if (!this.navigation.advance(path)) {
+                if (path.end === 'stop') {
+                    path.wait = Infinity;
+                    data.speed = 0;
+                } else {
+                    // Route done - free roaming from here
+                    data.path = null;
+                    data.speed = this.getWalkSpeed(data);
+                }
+                return;
+            }
+        }
+        
+        const target = path.points[path.index];
+        data.direction.set(target.x - animal.position.x, 0, target.z - animal.position.z).normalize();
+        data.speed = target.speed ?? path.speed;
+    }
+    
+    /**
+     * Heading to hold while paused at a waypoint (null = keep current)
+     */
+    getWaypointFacing(animal, point) {
+        const toTower = new THREE.Vector3(
+            this.towerPosition.x - animal.position.x,
+            0,
+            this.towerPosition.z - animal.position.z
+        ).normalize();
+        
+        if (point.faceTower) return toTower;
+        if (point.broadside) {
+            // Side-on to the shooter - pick the side closest to the current heading
+            const side = new THREE.Vector3(-toTower.z, 0, toTower.x);
+            return side.dot(animal.userData.direction) >= 0 ? side : side.negate();
+        }
+        return null;
+    }
+    
+    /**
+     * No walkable heading found - relaxed animals turn back; fleeing, wounded and
+     * charging ones keep their line to the tower and slide along the obstacle (resolve())
+     */
+    onBoxedIn(animal) {
+        const data = animal.userData;
+        const awayX = animal.position.x - this.towerPosition.x;
+        const awayZ = animal.position.z - this.towerPosition.z;
+        
+        switch (data.state) {
+            case 'fleeing':
+            case 'wounded':
+                data.direction.set(awayX, 0, awayZ).normalize();
+                break;
+            case 'charging':
+                data.direction.set(-awayX, 0, -awayZ).normalize();
+                break;
+            default:
+                data.direction.negate();
+        }
+    }
+    
+    getWalkSpeed(data) {
+        const baseSpeed = CONFIG.animalSpeed.min + Math.random() * (CONFIG.animalSpeed.max - CONFIG.animalSpeed.min);
+        return baseSpeed * (data.speedMultiplier || 1.0);
+    }
+    
+    // ============ AWARENESS ============
+    
+    getPerception(type) {
+        return getAnimalType(type).perception || {};
+    }
+    
+    /**
+     * Is the tower inside the animal's sight cone and range?
+     */
+    canSeeTower(animal) {
+        const perception = this.getPerception(animal.userData.type);
+        if (!perception.sightRange) return false;
+        
+        const toTower = new THREE.Vector3(
+            this.towerPosition.x - animal.position.x,
+            0,
+            this.towerPosition.z - animal.position.z
+        );
+        const distance = toTower.length();
+        if (distance > perception.sightRange) return false;
+        
+        const halfAngle = THREE.MathUtils.degToRad((perception.sightAngle ?? 90) / 2);
+        return animal.userData.direction.angleTo(toTower.normalize()) <= halfAngle;
+    }
+    
+    /**
+     * Switch awareness state and set up its movement
+     */
+    setState(animal, state) {
+        const data = animal.userData;
+        const perception = this.getPerception(data.type);
+        const awayX = animal.position.x - this.towerPosition.x;
+        const awayZ = animal.position.z - this.towerPosition.z;
+        
+        data.state = state;
+        data.grazing = false;
+        
+        switch (state) {
+            case 'grazing':
+                data.speed = this.getWalkSpeed(data);
                 data.changeTimer = 1 + Math.random() * 2;
+                data.sightCooldown = (perception.sightCooldown ?? 6000) / 1000;
+                break;
+            
+            case 'alert':
+                // Freeze and stare at the tower
+                data.speed = 0;
+                data.direction.set(-awayX, 0, -awayZ).normalize();
+                data.stateTimer = (perception.alertTime ?? 2000) / 1000;
+                break;
+            
+            case 'fleeing': {
+                // Bolt away from the tower with a little randomness
+                const angle = Math.atan2(awayX, awayZ) + (Math.random() - 0.5) * 0.8;
+                data.direction.set(Math.sin(angle), 0, Math.cos(angle));
+                data.speed = CONFIG.animalSpeed.max * (perception.sprint ?? 2) * (data.speedMultiplier || 1.0);
+                data.stateTimer = (perception.fleeTime ?? 3000) / 1000;
+                // A scare breaks choreography - looping trails resume after returning
+                if (data.path && data.path.end !== 'loop') data.path = null;
+                break;
+            }
+            
+            case 'returning':
+                data.speed = this.getWalkSpeed(data);
+                break;
+            
+            case 'wounded': {
+                // Head away from the tower for good - limping on a leg wound, running otherwise
+                const wounds = CONFIG.wounds || {};
+                const angle = Math.atan2(awayX, awayZ) + (Math.random() - 0.5) * (wounds.wander ?? 0.5);
+                data.direction.set(Math.sin(angle), 0, Math.cos(angle));
+                data.woundSpeed = data.wounded.limp
+                    ? this.getWalkSpeed(data) * (wounds.limp ?? 0.6)
+                    : CONFIG.animalSpeed.max * (perception.sprint ?? 2) * (data.speedMultiplier || 1.0) * (wounds.run ?? 0.8);
+                data.speed = data.woundSpeed;
+                data.stateTimer = 1.5 + Math.random();
+                data.path = null;
+                break;
+            }
+            
+            case 'charging':
+                // Straight for the tower (re-aimed every frame)
+                data.direction.set(-awayX, 0, -awayZ).normalize();
+                data.speed = getAnimalType(data.type).aggression?.chargeSpeed ?? CONFIG.animalSpeed.max * (perception.sprint ?? 2);
+                data.path = null;
+                data.leader = null;
+                break;
+        }
+    }
+    
+    updateAwareness(animal, delta) {
+        const data = animal.userData;
+        const perception = this.getPerception(data.type);
+        
+        data.stateTimer -= delta;
+        
+        switch (data.state) {
+            case 'grazing':
+                data.sightCooldown -= delta;
+                if (data.sightCooldown <= 0 && !data.path?.ignoreTower && this.canSeeTower(animal)) {
+                    this.setState(animal, 'alert');
+                }
+                break;
+            
+            case 'alert':
+                if (data.stateTimer <= 0) this.setState(animal, 'grazing');
+                break;
+            
+            case 'fleeing': {
+                // Run until the scare wears off or the animal reaches cover distance
+                const dist = Math.hypot(animal.position.x - this.towerPosition.x, animal.position.z - this.towerPosition.z);
+                const fleeRadius = perception.fleeRadius ?? CONFIG.spawnRadius.max + 20;
+                if (data.stateTimer <= 0 || dist > fleeRadius) this.setState(animal, 'returning');
+                break;
+            }
+            
+            case 'wounded':
+                this.updateWounded(animal, delta);
+                break;
+            
+            case 'charging':
+                this.updateCharge(animal);
+                break;
+            
+            case 'returning': {
+                // Walk back to where it was spawned
+                const dx = data.home.x - animal.position.x;
+                const dz = data.home.z - animal.position.z;
+                if (Math.hypot(dx, dz) < 5) {
+                    this.setState(animal, 'grazing');
+                } else {
+                    data.direction.set(dx, 0, dz).normalize();
+                }
+                break;
+            }
+        }
+    }
+    
+    /**
+     * Non-lethal hit - the animal stays a target but tries to get away
+     * @param {string} zone - Hit zone; a leg wound limps, anything else runs
+     */
+    wound(animal, zone) {
+        const data = animal.userData;
+        data.wounded = {
+            zone,
+            limp: zone === 'leg',
+            phase: 0,                        // Limp cadence
+            lastDrop: animal.position.clone()
+        };
+        this.setState(animal, 'wounded');
+    }
+    
+    /**
+     * Wounded movement - limp cadence, re-aiming away from the tower, blood drops, escape
+     */
+    updateWounded(animal, delta) {
+        const data = animal.userData;
+        const wound = data.wounded;
+        
+        if (wound.limp) {
+            // Lurching gait - speed drops on the bad leg
+            wound.phase += delta * 5;
+            data.speed = data.woundSpeed * (0.45 + 0.55 * Math.abs(Math.sin(wound.phase)));
+        }
+        
+        if (data.stateTimer <= 0) this.setState(animal, 'wounded');
+        
+        this.dropBlood(animal);
+        
+        // Out of the hunting ground - Game treats it as lost
+        if (Math.hypot(animal.position.x, animal.position.z) > CONFIG.spawnRadius.max) {
+            data.escaped = true;
+        }
+    }
+    
+    /**
+     * Blood splat every `spacing` meters a wounded animal travels
+     */
+    dropBlood(animal) {
+        const wound = animal.userData.wounded;
+        if (!wound) return;
+        
+        const spacing = CONFIG.wounds?.blood?.spacing ?? 1.2;
+        if (animal.position.distanceTo(wound.lastDrop) >= spacing) {
+            wound.lastDrop.copy(animal.position);
+            this.bloodTrail.drop(animal.position.x, animal.position.y, animal.position.z);
+        }
+    }
+    
+    /**
+     * Aggressive reaction - run at the tower until shot or it gets there (Game decides when)
+     */
+    charge(animal) {
+        this.setState(animal, 'charging');
+    }
+    
+    updateCharge(animal) {
+        const data = animal.userData;
+        const dx = this.towerPosition.x - animal.position.x;
+        const dz = this.towerPosition.z - animal.position.z;
+        const distance = Math.hypot(dx, dz);
+        
+        this.dropBlood(animal);
+        
+        if (distance <= (CONFIG.danger?.baseRadius ?? 6)) {
+            data.reachedTower = true;
+            data.speed = 0;
+            return;
+        }
+        data.direction.set(dx, 0, dz).normalize();
+    }
+    
+    /**
+     * Seconds until a charging animal reaches the tower base
+     */
+    getTimeToTower(animal) {
+        const data = animal.userData;
+        const distance = Math.hypot(this.towerPosition.x - animal.position.x, this.towerPosition.z - animal.position.z);
+        const remaining = Math.max(0, distance - (CONFIG.danger?.baseRadius ?? 6));
+        return data.speed > 0 ? remaining / data.speed : 0;
+    }
+    
+    /**
+     * A shot was fired - animals within hearing bolt, those a bit further look up
+     * @param {THREE.Vector3} origin - Where the shot came from
+     * @param {Object} [options]
+     * @param {THREE.Object3D[]} [options.startled] - Always flee (e.g. the animal the bullet just missed)
+     * @param {THREE.Object3D[]} [options.ignore] - Not affected (e.g. the animal that was hit)
+     */
+    onGunshot(origin, { startled = [], ignore = [] } = {}) {
+        this.getAlive().forEach(animal => {
+            // Wounded and charging animals are already committed
+            const committed = animal.userData.wounded || animal.userData.state === 'charging';
+            if (ignore.includes(animal) || committed) return;
+            
+            const hearing = this.getPerception(animal.userData.type).hearing ?? 0;
+            const distance = Math.hypot(animal.position.x - origin.x, animal.position.z - origin.z);
+            
+            if (startled.includes(animal) || distance <= hearing) {
+                this.setState(animal, 'fleeing');
+            } else if (distance <= hearing * 1.5 && animal.userData.state === 'grazing') {
+                this.setState(animal, 'alert');
             }
         });
     }
@@ -905,126 +1049,132 @@ export class AnimalManager {
     }
     
     remove(animal) {
-        // Remove label if exists
+        // Already removed (death callbacks can land here twice)
+        if (!this.animals.includes(animal)) return;
+        
+        // Label back to the pool (its texture stays cached)
         if (animal.userData.label) {
             this.scene.remove(animal.userData.label);
-            if (animal.userData.label.material.map) {
-                animal.userData.label.material.map.dispose();
-            }
-            animal.userData.label.material.dispose();
+            animal.userData.label.visible = false;
+            this.labelPool.push(animal.userData.label);
         }
         
-        // Remove animation mixer if exists
+        // Stop animation mixer if exists (the animator stays with the body)
         if (animal.userData.mixer) {
-            animal.userData.mixer.stopAllAction();
             this.mixers = this.mixers.filter(m => m !== animal.userData.mixer);
         }
         
         this.scene.remove(animal);
         this.animals = this.animals.filter(a => a !== animal);
+        this.releaseBody(animal);
     }
     
-    animateDeath(animal, onComplete) {
-        // Hide label immediately on death
-        this.hideLabel(animal);
-        
-        // For deer with GLB model, use Death animation
-        if (animal.userData.type === 'deer' && animal.userData.mixer && this.deerAnimations) {
-            const deathAnim = this.deerAnimations.find(a => a.name.toLowerCase().includes('death'));
+    /**
+     * Animal body from the pool, or a new one
+     */
+    acquireBody(type) {
+        const pool = this.pool.get(type);
+        while (pool?.length) {
+            const animal = pool.pop();
             
-            if (deathAnim) {
-                const mixer = animal.userData.mixer;
-                
-                // Stop all current actions on this mixer
-                mixer.stopAllAction();
-                
-                // Clone the animation clip for this specific deer to avoid conflicts
-                const clonedDeathAnim = deathAnim.clone();
-                
-                // Play death animation
-                const deathAction = mixer.clipAction(clonedDeathAnim);
-                deathAction.setLoop(THREE.LoopOnce);
-                deathAction.clampWhenFinished = true;
-                deathAction.play();
-                
-                // Store the action for cleanup
-                animal.userData.deathAction = deathAction;
-                
-                // Wait for animation to finish, then remove
-                const animDuration = deathAnim.duration * 1000;
-                setTimeout(() => {
-                    setTimeout(() => {
-                        this.remove(animal);
-                        onComplete?.();
-                    }, CONFIG.respawnDelay);
-                }, animDuration);
-                
-                return;
+            // Placeholder pooled before the GLB arrived - retire it
+            if (this.models.has(type) && !animal.userData.animator) {
+                this.disposeBody(animal);
+                continue;
             }
+            
+            if (animal.userData.mixer) this.mixers.push(animal.userData.mixer);
+            return animal;
+        }
+        return this.createBody(type);
+    }
+    
+    /**
+     * Reset a removed body and keep it for the next spawn of its type
+     */
+    releaseBody(animal) {
+        const { type, mixer, animator } = animal.userData;
+        const pool = this.pool.get(type) || [];
+        this.pool.set(type, pool);
+        
+        if (pool.length >= (CONFIG.pooling?.animalsPerType ?? 6)) {
+            this.disposeBody(animal);
+            return;
         }
         
-        // For bear with GLB model, use Death animation
-        if (animal.userData.type === 'bear' && animal.userData.mixer && this.bearAnimations) {
-            const deathAnim = this.bearAnimations.find(a => a.name.toLowerCase().includes('death'));
-            
-            if (deathAnim) {
-                const mixer = animal.userData.mixer;
-                
-                // Stop all current actions on this mixer
-                mixer.stopAllAction();
-                
-                // Clone the animation clip for this specific bear to avoid conflicts
-                const clonedDeathAnim = deathAnim.clone();
-                
-                // Play death animation
-                const deathAction = mixer.clipAction(clonedDeathAnim);
-                deathAction.setLoop(THREE.LoopOnce);
-                deathAction.clampWhenFinished = true;
-                deathAction.play();
-                
-                // Store the action for cleanup
-                animal.userData.deathAction = deathAction;
-                
-                // Wait for animation to finish, then remove
-                const animDuration = deathAnim.duration * 1000;
-                setTimeout(() => {
-                    setTimeout(() => {
-                        this.remove(animal);
-                        onComplete?.();
-                    }, CONFIG.respawnDelay);
-                }, animDuration);
-                
-                return;
-            }
+        animator?.reset();
+        animal.position.set(0, 0, 0);
+        animal.rotation.set(0, 0, 0);
+        animal.scale.set(1, 1, 1);
+        animal.userData = { type, mixer, animator };
+        pool.push(animal);
+    }
+    
+    disposeBody(animal) {
+        const animator = animal.userData.animator;
+        if (animator) {
+            // GLB clones share geometry with the loaded asset - only the animation state goes
+            animator.dispose();
+            return;
         }
+        animal.traverse(node => node.geometry?.dispose());
+    }
+    
+    /**
+     * Schedule on the game scheduler (falls back to setTimeout when used standalone)
+     */
+    after(ms, callback, label) {
+        if (this.scheduler) return this.scheduler.after(ms, callback, label);
+        return setTimeout(callback, ms);
+    }
+    
+    /**
+     * Play death animation - hit zone sets the pace (headshot drops fastest)
+     */
+    animateDeath(animal, onComplete, zone = 'body') {
+        // Hide label immediately on death
+        this.hideLabel(animal);
         
-        // Fallback: procedural death animation for other animals
-        let t = 0;
-        let lastTime = performance.now();
-        const startY = animal.position.y;
-        const startRotZ = animal.rotation.z;
-        const duration = 500; // Animation duration in ms
-        
-        const animate = () => {
-            const now = performance.now();
-            const deltaMs = now - lastTime;
-            lastTime = now;
-            
-            // Frame-rate independent progress
-            t += deltaMs / duration;
+        const deathSpeed = CONFIG.hitZones?.[zone]?.deathSpeed ?? 1;
+        
+        // GLB models play their death clip (crossfaded from the current state)
+        const clipDuration = animal.userData.animator?.playDeath(deathSpeed) || 0;
+        if (clipDuration > 0) {
+            this.after(clipDuration * 1000 + CONFIG.respawnDelay, () => {
+                this.remove(animal);
+                onComplete?.();
+            }, 'animalDeath');
+            return;
+        }
+        
+        // Fallback: procedural fall for bodies without a clip, advanced in update() on game time
+        animal.userData.dying = {
+            t: 0,
+            duration: 0.5 / deathSpeed, // Seconds
+            startY: animal.position.y,
+            startRotZ: animal.rotation.z,
+            onComplete
+        };
+    }
+    
+    /**
+     * Advance procedural death falls (pauses and slows down with the game clock)
+     */
+    updateDeaths(delta) {
+        this.animals.forEach(animal => {
+            const dying = animal.userData.dying;
+            if (!dying) return;
             
-            animal.rotation.z = startRotZ + Math.min(t, 1) * (Math.PI / 2);
-            animal.position.y = startY - Math.min(t, 1) * 0.3;
+            dying.t = Math.min(dying.t + delta / dying.duration, 1);
+            animal.rotation.z = dying.startRotZ + dying.t * (Math.PI / 2);
+            animal.position.y = dying.startY - dying.t * 0.3;
             
-            if (t < 1) {
-                requestAnimationFrame(animate);
-            } else {
-                setTimeout(() => {
-                    this.remove(animal);
-                    onComplete?.();
-                }, CONFIG.respawnDelay);
-            }
-        };
-        animate();
+            if (dying.t < 1) return;
+            animal.userData.dying = null;
+            this.after(CONFIG.respawnDelay, () => {
+                this.remove(animal);
+                dying.onComplete?.();
+            }, 'animalDeath');
+        });
     }
 }
@@ -2,16 +2,36 @@ import { CONFIG } from '../config';
 
 /**
  * Audio manager for game sounds - generates sounds procedurally using Web Audio API
+ *
+ * Mixer hierarchy:
+ *   music ──┐
+ *   ambient ├──> master (config level × SDK volume) ──> destination
+ *   sfx ────┘
  */
 export class AudioManager {
     constructor() {
         this.enabled = CONFIG.audio?.enabled !== false;
-        this.ambientVolume = CONFIG.audio?.ambientVolume ?? 0.3;
-        this.sfxVolume = CONFIG.audio?.sfxVolume ?? 0.7;
+        this.rampTime = CONFIG.audio?.rampTime ?? 0.15;
+        
+        // Bus levels (from config)
+        this.levels = {
+            master: CONFIG.audio?.masterVolume ?? 1.0,
+            music: CONFIG.audio?.musicVolume ?? 0.5,
+            ambient: CONFIG.audio?.ambientVolume ?? 0.3,
+            sfx: CONFIG.audio?.sfxVolume ?? 0.7
+        };
+        
+        // Volume reported by the ad network (0 = muted)
+        this.volume = 1;
+        
+        this.masterGain = null;
+        this.buses = {};
         
         this.context = null;
         this.ambientSource = null;
+        this.ambientTimer = null;
         this.isAmbientPlaying = false;
+        this.paused = false;
         
         // Lazy init on first user interaction
         this.initialized = false;
@@ -26,7 +46,17 @@ export class AudioManager {
         try {
             this.context = new (window.AudioContext || window.webkitAudioContext)();
             this.masterGain = this.context.createGain();
+            this.masterGain.gain.value = this.getMasterLevel();
             this.masterGain.connect(this.context.destination);
+            
+            // Sub-buses feeding the master
+            ['music', 'ambient', 'sfx'].forEach(name => {
+                const bus = this.context.createGain();
+                bus.gain.value = this.levels[name];
+                bus.connect(this.masterGain);
+                this.buses[name] = bus;
+            });
+            
             this.initialized = true;
         } catch (e) {
             console.warn('Web Audio API not supported');
@@ -35,20 +65,51 @@ export class AudioManager {
     }
     
     /**
-     * Resume audio context if suspended
+     * Resume audio context if suspended (also restarts ambient loop after pause)
      */
     async resume() {
+        if (this.paused) {
+            this.paused = false;
+            if (this.isAmbientPlaying && !this.ambientTimer) {
+                this.playAmbientLoop();
+            }
+        }
+        
         if (this.context && this.context.state === 'suspended') {
             await this.context.resume();
         }
     }
     
+    /**
+     * Wake a context the browser started suspended (autoplay policy) - never while paused
+     */
+    wake() {
+        if (this.paused || !this.context || this.context.state !== 'suspended') return;
+        this.context.resume();
+    }
+    
+    /**
+     * Pause all audio - suspends the context and freezes the ambient loop
+     */
+    pause() {
+        this.paused = true;
+        
+        if (this.ambientTimer) {
+            clearTimeout(this.ambientTimer);
+            this.ambientTimer = null;
+        }
+        
+        if (this.context && this.context.state === 'running') {
+            this.context.suspend();
+        }
+    }
+    
     /**
      * Play rifle gunshot sound effect
      */
     playGunshot() {
-        if (!this.enabled || !this.initialized) return;
-        this.resume();
+        if (!this.enabled || !this.initialized || this.paused) return;
+        this.wake();
         
         const ctx = this.context;
         const now = ctx.currentTime;
@@ -61,7 +122,7 @@ export class AudioManager {
         
         // Master output with compression effect
         const outputGain = ctx.createGain();
-        outputGain.gain.value = this.sfxVolume * 1.2;
+        outputGain.gain.value = 1.2;
         
         // Add waveshaper for slight distortion/punch
         const distortion = ctx.createWaveShaper();
@@ -69,7 +130,7 @@ export class AudioManager {
         distortion.oversample = '2x';
         
         outputGain.connect(distortion);
-        distortion.connect(this.masterGain);
+        distortion.connect(this.buses.sfx);
         
         // === 1. SUPERSONIC CRACK (sharp high-frequency transient) ===
         const crackDuration = 0.025;
@@ -205,11 +266,11 @@ export class AudioManager {
                 echoFilter.frequency.value = 1500 - idx * 400;
                 
                 const echoGain = ctx.createGain();
-                echoGain.gain.value = (0.2 - idx * 0.05) * this.sfxVolume;
+                echoGain.gain.value = 0.2 - idx * 0.05;
                 
                 echoSource.connect(echoFilter);
                 echoFilter.connect(echoGain);
-                echoGain.connect(this.masterGain);
+                echoGain.connect(this.buses.sfx);
                 echoSource.start();
             }, delayMs);
         });
@@ -235,7 +296,7 @@ export class AudioManager {
      */
     startAmbient() {
         if (!this.enabled || !this.initialized || this.isAmbientPlaying) return;
-        this.resume();
+        this.wake();
         
         this.isAmbientPlaying = true;
         this.playAmbientLoop();
@@ -245,15 +306,16 @@ export class AudioManager {
      * Generate and play ambient forest sounds
      */
     playAmbientLoop() {
-        if (!this.isAmbientPlaying || !this.context) return;
+        this.ambientTimer = null;
+        if (!this.isAmbientPlaying || !this.context || this.paused) return;
         
         const ctx = this.context;
         const now = ctx.currentTime;
         
         // Ambient gain
         const ambientGain = ctx.createGain();
-        ambientGain.gain.value = this.ambientVolume * 0.5;
-        ambientGain.connect(this.masterGain);
+        ambientGain.gain.value = 0.5;
+        ambientGain.connect(this.buses.ambient);
         
         // === Wind/rustling leaves (filtered noise) ===
         const windDuration = 4;
@@ -304,7 +366,7 @@ export class AudioManager {
         }
         
         // Schedule next loop
-        setTimeout(() => {
+        this.ambientTimer = setTimeout(() => {
             this.playAmbientLoop();
         }, (windDuration - 0.5) * 1000);
     }
@@ -348,17 +410,51 @@ export class AudioManager {
      */
     stopAmbient() {
         this.isAmbientPlaying = false;
+        if (this.ambientTimer) {
+            clearTimeout(this.ambientTimer);
+            this.ambientTimer = null;
+        }
     }
     
     /**
-     * Set master volume
+     * Set master volume from the SDK volume event (0 mutes)
+     * Stored if called before init and applied once the context exists
      */
     setVolume(volume) {
+        this.volume = Math.max(0, Math.min(1, Number(volume) || 0));
         if (this.masterGain) {
-            this.masterGain.gain.value = Math.max(0, Math.min(1, volume));
+            this.rampGain(this.masterGain.gain, this.getMasterLevel());
         }
     }
     
+    /**
+     * Set level of a mixer bus ('master', 'music', 'ambient' or 'sfx')
+     */
+    setBusVolume(name, level) {
+        if (!(name in this.levels)) return;
+        this.levels[name] = Math.max(0, Math.min(1, level));
+        
+        if (name === 'master') {
+            if (this.masterGain) this.rampGain(this.masterGain.gain, this.getMasterLevel());
+        } else if (this.buses[name]) {
+            this.rampGain(this.buses[name].gain, this.levels[name]);
+        }
+    }
+    
+    getMasterLevel() {
+        return this.levels.master * this.volume;
+    }
+    
+    /**
+     * Smoothly ramp a gain param to a new value (no zipper noise / clicks)
+     */
+    rampGain(param, value) {
+        const now = this.context.currentTime;
+        param.cancelScheduledValues(now);
+        param.setValueAtTime(param.value, now);
+        param.linearRampToValueAtTime(value, now + this.rampTime);
+    }
+    
     /**
      * Cleanup
      */
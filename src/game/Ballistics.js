@@ -0,0 +1,172 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config';
+
+const _velocity = new THREE.Vector3();
+const _accel = new THREE.Vector3();
+const _displacement = new THREE.Vector3();
+const _rayOrigin = new THREE.Vector3();
+const _segStart = new THREE.Vector3();
+const _segDir = new THREE.Vector3();
+
+/**
+ * Bullet ballistics - muzzle velocity, gravity drop, drag and wind
+ *
+ * The trajectory is integrated in fixed steps. Each step segment is tested
+ * against every animal at its predicted position at that moment (animals keep
+ * walking while the bullet flies), so leading a moving target matters.
+ */
+export class Ballistics {
+    constructor(hitDetector, world = null) {
+        this.hitDetector = hitDetector;
+        this.world = world;
+        this.raycaster = new THREE.Raycaster();
+    }
+    
+    get config() {
+        return CONFIG.ballistics || {};
+    }
+    
+    /**
+     * Current wind vector (m/s) - also drives environment sway
+     */
+    getWind() {
+        const wind = this.config.wind || { x: 0, y: 0, z: 0 };
+        return new THREE.Vector3(wind.x || 0, wind.y || 0, wind.z || 0);
+    }
+    
+    /**
+     * Simulate a shot
+     * @param {THREE.Vector3} origin - Muzzle position
+     * @param {THREE.Vector3} direction - Aim direction (normalized)
+     * @param {THREE.Object3D[]} animals - Alive animals
+     * @returns {{ hit: Object|null, near: Object|null, impact: Object|null, trajectory: { points: THREE.Vector3[], step: number, duration: number } }}
+     *   hit is a HitDetector hit ({ animal, zone, point, distance }) with point in the animal's current frame,
+     *   near is the closest animal the bullet passed within CONFIG.nearMiss.radius of (misses only),
+     *   impact is the terrain/tree surface the bullet hit ({ point, surface }, null if it hit an animal or flew out of range)
+     */
+    simulate(origin, direction, animals) {
+        const cfg = this.config;
+        const step = cfg.step || 1 / 120;
+        const maxTime = cfg.maxTime || 3;
+        const gravity = cfg.gravity ?? 9.81;
+        const drag = cfg.drag ?? 0;
+        const windFactor = cfg.windFactor ?? 1;
+        const wind = this.getWind();
+        const assist = cfg.aimAssist ?? CONFIG.aimAssist;
+        const nearRadius = CONFIG.nearMiss?.enabled ? CONFIG.nearMiss.radius : 0;
+        
+        const position = origin.clone();
+        _velocity.copy(direction).normalize().multiplyScalar(cfg.muzzleVelocity || CONFIG.bulletSpeed);
+        
+        // Poses don't change during the simulation - one matrix update serves every step
+        animals.forEach(animal => animal.updateMatrixWorld(true));
+        
+        const points = [position.clone()];
+        let hit = null;
+        let near = null;
+        let impact = null;
+        let time = 0;
+        
+        while (time < maxTime) {
+            _segStart.copy(position);
+            
+            // Semi-implicit Euler: gravity + wind push - drag
+            _accel.set(0, -gravity, 0)
+                .addScaledVector(wind, windFactor)
+                .addScaledVector(_velocity, -drag);
+            _velocity.addScaledVector(_accel, step);
+            position.addScaledVector(_velocity, step);
+            time += step;
+            
+            // Animals at their predicted position this step
+            const result = this.testAnimals(_segStart, position, animals, time, assist, nearRadius);
+            hit = result.hit;
+            if (hit) {
+                // World point at impact time (trajectory end)
+                points.push(_segStart.clone().addScaledVector(_segDir, hit.segmentDistance));
+                break;
+            }
+            if (result.near && (!near || result.near.gap < near.gap)) near = result.near;
+            
+            // Trees and terrain
+            const length = _segStart.distanceTo(position);
+            impact = this.world?.intersectEnvironment(_segStart, _segDir, length) || null;
+            if (impact) {
+                points.push(impact.point.clone());
+                break;
+            }
+            
+            points.push(position.clone());
+        }
+        
+        if (hit) {
+            near = null;
+            hit.flightTime = time;
+            hit.distance = origin.distanceTo(points[points.length - 1]);
+            delete hit.segmentDistance;
+        }
+        
+        return {
+            hit,
+            near,
+            impact,
+            trajectory: { points, step, duration: time }
+        };
+    }
+    
+    /**
+     * Test one trajectory segment against animals moved to where they will be at `time`
+     * Capsules widened by the near-miss radius act as a cheap broad phase before the mesh test.
+     * Animal matrices must be up to date (simulate() updates them once per shot).
+     * @returns {{ hit: Object|null, near: { animal, point, gap }|null }}
+     */
+    testAnimals(from, to, animals, time, assist, nearRadius = 0) {
+        _segDir.subVectors(to, from);
+        const length = _segDir.length();
+        _segDir.divideScalar(length);
+        
+        let best = null;
+        let near = null;
+        
+        animals.forEach(animal => {
+            const data = animal.userData;
+            
+            // Shift the segment into the animal's current frame instead of moving the animal
+            if (data.direction) {
+                _displacement.copy(data.direction).multiplyScalar((data.speed || 0) * time);
+            } else {
+                _displacement.set(0, 0, 0);
+            }
+            this.raycaster.set(_rayOrigin.subVectors(from, _displacement), _segDir);
+            this.raycaster.far = length;
+            
+            const broad = this.hitDetector.intersectCapsules(this.raycaster.ray, [animal], Math.max(assist, nearRadius) + 1, length);
+            if (!broad) return;
+            
+            const hit = this.hitDetector.intersect(this.raycaster, [animal], assist, false);
+            if (hit && (!best || hit.distance < best.segmentDistance)) {
+                hit.segmentDistance = hit.distance;
+                best = hit;
+            }
+            
+            const passed = nearRadius > 0 && this.hitDetector.intersectCapsules(this.raycaster.ray, [animal], nearRadius, length);
+            if (passed) {
+                const gap = this.raycaster.ray.distanceToPoint(animal.position);
+                if (!near || gap < near.gap) near = { animal, point: passed.point, gap };
+            }
+        });
+        
+        return { hit: best, near };
+    }
+    
+    /**
+     * Position along a trajectory at normalized progress (0-1)
+     */
+    static sample(trajectory, progress, target = new THREE.Vector3()) {
+        const { points } = trajectory;
+        const f = THREE.MathUtils.clamp(progress, 0, 1) * (points.length - 1);
+        const i = Math.min(Math.floor(f), points.length - 2);
+        if (i < 0) return target.copy(points[0]);
+        return target.lerpVectors(points[i], points[i + 1], f - i);
+    }
+}
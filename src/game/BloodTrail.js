@@ -0,0 +1,123 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config';
+
+const _dummy = new THREE.Object3D();
+
+/**
+ * Blood trail decals left by wounded animals
+ *
+ * Flat splats laid on the terrain every `spacing` meters of travel, drawn as
+ * one InstancedMesh with a per-instance opacity. They fade out over the last
+ * part of their lifetime; past `max` the oldest splat is reused. Driven by
+ * update(delta) from the owner.
+ */
+export class BloodTrail {
+    constructor(scene) {
+        this.scene = scene;
+        this.max = this.config.max ?? 80;
+        
+        // Ring of slots, oldest at `start` (every splat lives equally long, so they expire in order)
+        this.ages = new Float32Array(this.max);
+        this.start = 0;
+        this.count = 0;
+        
+        this.geometry = new THREE.CircleGeometry(1, 8);
+        this.geometry.rotateX(-Math.PI / 2);
+        this.opacity = new THREE.InstancedBufferAttribute(new Float32Array(this.max), 1);
+        this.geometry.setAttribute('instanceOpacity', this.opacity);
+        
+        this.material = this.createMaterial();
+        this.mesh = new THREE.InstancedMesh(this.geometry, this.material, this.max);
+        this.mesh.frustumCulled = false; // Splats spread over the whole map
+        this.scene.add(this.mesh);
+    }
+    
+    get config() {
+        return CONFIG.wounds?.blood || {};
+    }
+    
+    /**
+     * Shared splat material - multiplies its opacity by the instance's
+     */
+    createMaterial() {
+        const material = new THREE.MeshBasicMaterial({
+            color: this.config.color ?? 0x6a0a0a,
+            transparent: true,
+            depthWrite: false,
+            polygonOffset: true,
+            polygonOffsetFactor: -2
+        });
+        material.onBeforeCompile = (shader) => {
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', `#include <common>
+                attribute float instanceOpacity;
+                varying float vInstanceOpacity;`)
+                .replace('#include <begin_vertex>', `#include <begin_vertex>
+                vInstanceOpacity = instanceOpacity;`);
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <common>', `#include <common>
+                varying float vInstanceOpacity;`)
+                .replace('vec4 diffuseColor = vec4( diffuse, opacity );', 'vec4 diffuseColor = vec4( diffuse, opacity * vInstanceOpacity );');
+        };
+        return material;
+    }
+    
+    /**
+     * Lay a splat at a ground position
+     */
+    drop(x, y, z) {
+        const cfg = this.config;
+        const slot = (this.start + this.count) % this.max;
+        if (this.count < this.max) {
+            this.count++;
+        } else {
+            this.start = (this.start + 1) % this.max; // Oldest makes room
+        }
+        
+        const size = (cfg.size ?? 0.25) * (0.6 + Math.random() * 0.8);
+        _dummy.position.set(x, y + 0.03, z);
+        _dummy.scale.set(size * (1 + Math.random() * 0.6), 1, size);
+        _dummy.rotation.set(0, Math.random() * Math.PI, 0);
+        _dummy.updateMatrix();
+        this.mesh.setMatrixAt(slot, _dummy.matrix);
+        this.mesh.instanceMatrix.needsUpdate = true;
+        
+        this.ages[slot] = 0;
+        this.opacity.setX(slot, 0.85);
+        this.opacity.needsUpdate = true;
+    }
+    
+    update(delta) {
+        if (this.count === 0) return;
+        
+        const lifetime = (this.config.lifetime ?? 20000) / 1000;
+        const fadeStart = lifetime * 0.7;
+        
+        // Expired splats sit at the front of the ring
+        for (let i = 0; i < this.count; i++) {
+            this.ages[(this.start + i) % this.max] += delta;
+        }
+        while (this.count > 0 && this.ages[this.start] >= lifetime) {
+            this.opacity.setX(this.start, 0);
+            this.start = (this.start + 1) % this.max;
+            this.count--;
+        }
+        
+        for (let i = 0; i < this.count; i++) {
+            const slot = (this.start + i) % this.max;
+            const age = this.ages[slot];
+            if (age > fadeStart) {
+                this.opacity.setX(slot, 0.85 * (1 - (age - fadeStart) / (lifetime - fadeStart)));
+            }
+        }
+        this.opacity.needsUpdate = true;
+    }
+    
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.mesh.dispose();
+        this.geometry.dispose();
+        this.material.dispose();
+        this.count = 0;
+    }
+}
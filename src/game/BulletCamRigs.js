@@ -0,0 +1,108 @@
+import * as THREE from 'three';
+
+const UP = new THREE.Vector3(0, 1, 0);
+const _side = new THREE.Vector3();
+const _toShooter = new THREE.Vector3();
+
+export const easeInOutCubic = (t) => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+
+/**
+ * Bullet cam camera rigs
+ *
+ * Each rig writes a camera pose ({ position, lookAt, fov }) for the current
+ * shot context:
+ *   bullet    - bullet world position
+ *   flightDir - normalized flight direction
+ *   target    - hit / impact point
+ *   animal    - target animal (or the one a near miss flew past)
+ *   shooter   - tower camera position
+ *   time      - seconds since the bullet cam started
+ *   local     - 0-1 progress within the rig's segment
+ *   frozen    - pose the camera had when the bullet landed (freeze rig)
+ */
+export const BulletCamRigs = {
+    // Circle the bullet (original bullet cam)
+    orbit(ctx, params, out) {
+        const angle = ctx.time * (params.speed ?? 1);
+        const distance = params.distance ?? 4;
+        const height = (params.height ?? 1.5) + Math.sin(angle * 0.5) * 0.5;
+        
+        out.position.set(
+            ctx.bullet.x + Math.cos(angle) * distance,
+            ctx.bullet.y + height,
+            ctx.bullet.z + Math.sin(angle) * distance
+        );
+        out.lookAt.copy(ctx.bullet);
+        out.fov = params.fov ?? 50;
+    },
+    
+    // Locked behind the bullet, looking down its flight path
+    chase(ctx, params, out) {
+        out.position.copy(ctx.bullet)
+            .addScaledVector(ctx.flightDir, -(params.distance ?? 2.5))
+            .addScaledVector(UP, params.height ?? 0.6);
+        out.lookAt.copy(ctx.bullet).addScaledVector(ctx.flightDir, params.lookAhead ?? 3);
+        out.fov = params.fov ?? 50;
+    },
+    
+    // Tracks alongside the bullet, profile view
+    side(ctx, params, out) {
+        _side.crossVectors(ctx.flightDir, UP).normalize();
+        out.position.copy(ctx.bullet)
+            .addScaledVector(_side, params.distance ?? 3)
+            .addScaledVector(UP, params.height ?? 0.3)
+            .addScaledVector(ctx.flightDir, -(params.lead ?? 0.5));
+        out.lookAt.copy(ctx.bullet);
+        out.fov = params.fov ?? 45;
+    },
+    
+    // Behind the animal's head watching the bullet come in, slowly dollying closer
+    animal(ctx, params, out) {
+        if (!ctx.animal) {
+            BulletCamRigs.chase(ctx, params, out);
+            return;
+        }
+        
+        _toShooter.subVectors(ctx.shooter, ctx.animal.position).setY(0).normalize();
+        _side.crossVectors(_toShooter, UP).normalize();
+        const distance = (params.distance ?? 1.5) + (params.dolly ?? 2) * (1 - easeInOutCubic(ctx.local));
+        
+        out.position.copy(ctx.animal.position)
+            .addScaledVector(UP, params.height ?? 2)
+            .addScaledVector(_toShooter, -distance)
+            .addScaledVector(_side, params.offset ?? 0.8);
+        out.lookAt.copy(ctx.bullet);
+        out.fov = params.fov ?? 40;
+    },
+    
+    // Hold the landing frame and zoom into the impact
+    freeze(ctx, params, out) {
+        const t = easeInOutCubic(ctx.local);
+        const baseFov = ctx.frozen.fov;
+        
+        out.position.copy(ctx.frozen.position).lerp(ctx.target, (params.dolly ?? 0.3) * t);
+        out.lookAt.copy(ctx.frozen.lookAt).lerp(ctx.target, t);
+        out.fov = THREE.MathUtils.lerp(baseFov, baseFov / (params.zoom ?? 2.5), t);
+    }
+};
+
+/**
+ * Blank camera pose
+ */
+export function createPose() {
+    return { position: new THREE.Vector3(), lookAt: new THREE.Vector3(), fov: 50 };
+}
+
+export function clonePose(pose) {
+    return { position: pose.position.clone(), lookAt: pose.lookAt.clone(), fov: pose.fov };
+}
+
+/**
+ * Ease one pose into another (t already eased or linear 0-1)
+ */
+export function blendPoses(from, to, t, out) {
+    out.position.lerpVectors(from.position, to.position, t);
+    out.lookAt.lerpVectors(from.lookAt, to.lookAt, t);
+    out.fov = THREE.MathUtils.lerp(from.fov, to.fov, t);
+    return out;
+}
@@ -3,14 +3,18 @@ import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { CONFIG } from '../config';
 import bulletModelSrc from '../assets/bullet.glb';
 import { createDracoLoader } from '../utils/dracoLoader';
+import { Ballistics } from './Ballistics';
+import { ImpactEffect } from './ImpactEffect';
+import { BulletCamRigs, blendPoses, clonePose, createPose, easeInOutCubic } from './BulletCamRigs';
 
 /**
  * Bullet time effect - slow motion bullet camera
  */
 export class BulletTime {
-    constructor(scene, mainCamera) {
+    constructor(scene, mainCamera, clock) {
         this.scene = scene;
         this.mainCamera = mainCamera;
+        this.clock = clock; // Game clock (progress and shake follow game time)
         
         this.camera = new THREE.PerspectiveCamera(
             50,
@@ -23,12 +27,33 @@ export class BulletTime {
         this.bullet = null;
         this.bulletInner = null; // Inner model for spin rotation
         this.targetPos = null;
+        this.targetLocal = null; // Hit point in animal space (follows the moving animal)
         this.targetAnimal = null;
+        this.hit = null;
+        this.impact = new ImpactEffect(scene); // Near-miss terrain/tree impact
+        this.impactSpawned = false;
+        this.onImpact = null; // (point, surface) - the bullet landed in terrain or a tree
         this.startTime = 0;
-        this.cameraAngle = 0;
         this.progress = 0;
         this.bulletSpin = 0; // Bullet spin angle
         
+        // Camera rigs - plan is a list of segments picked per shot (CONFIG.bulletCam)
+        this.segments = [];
+        this.freeze = null;  // Final freeze-frame segment ({ rig: 'freeze', hold })
+        this.pose = createPose();
+        this.blendPose = createPose();
+        this.frozenPose = null;
+        this.rigContext = {
+            bullet: null,
+            flightDir: new THREE.Vector3(),
+            target: null,
+            animal: null,
+            shooter: mainCamera.position,
+            time: 0,
+            local: 0,
+            frozen: null
+        };
+        
         // Camera shake
         this.shakeIntensity = 0;
         this.shakeTime = 0;
@@ -102,9 +127,18 @@ export class BulletTime {
         return bullet;
     }
     
-    start(targetAnimal) {
-        const targetPos = targetAnimal.position.clone();
-        targetPos.y += 0.8;
+    /**
+     * Start bullet cam toward a hit from HitDetector ({ animal, zone, point })
+     * or a near miss ({ miss: true, animal, point, surface }) - the bullet flies
+     * past the animal into terrain/tree at `point`
+     */
+    start(hit) {
+        const targetAnimal = hit.miss ? null : hit.animal;
+        const targetPos = hit.point.clone();
+        if (targetAnimal) {
+            targetAnimal.updateMatrixWorld(true);
+            this.targetLocal = targetAnimal.worldToLocal(hit.point.clone());
+        }
         
         this.bullet = this.createBullet();
         this.bullet.position.copy(this.mainCamera.position);
@@ -114,10 +148,16 @@ export class BulletTime {
         this.active = true;
         this.targetPos = targetPos;
         this.targetAnimal = targetAnimal;
-        this.startTime = Date.now();
-        this.cameraAngle = 0;
+        this.hit = hit;
+        this.startTime = this.clock.getElapsedMs();
         this.progress = 0;
         this.bulletSpin = 0;
+        this.impactSpawned = false;
+        
+        const plan = this.pickPlan();
+        this.segments = plan.filter(segment => segment.rig !== 'freeze');
+        this.freeze = plan.find(segment => segment.rig === 'freeze') || null;
+        this.frozenPose = null;
         
         // UI
         document.getElementById('bullet-time')?.classList.add('active');
@@ -129,6 +169,32 @@ export class BulletTime {
         return CONFIG.bulletTimeSpeed; // Return time scale
     }
     
+    /**
+     * Camera plan for this shot - fixed per creative or random per shot
+     * @returns {Array<{ rig: string, until?: number, hold?: number }>}
+     */
+    pickPlan() {
+        const cfg = CONFIG.bulletCam || {};
+        const plans = cfg.plans || {};
+        
+        let name = cfg.plan || 'orbit';
+        if (name === 'random') {
+            const pool = cfg.randomPlans || Object.keys(plans);
+            name = pool[Math.floor(Math.random() * pool.length)];
+        }
+        
+        const plan = plans[name]?.length ? plans[name] : [{ rig: 'orbit', until: 1 }];
+        return plan.some(segment => segment.rig !== 'freeze') ? plan : [{ rig: 'orbit', until: 1 }, ...plan];
+    }
+    
+    /**
+     * How long the bullet cam stays on after the bullet lands (ms)
+     */
+    getHoldTime() {
+        const hold = this.freeze?.hold || 0;
+        return this.hit.miss ? Math.max(hold, CONFIG.nearMiss?.impactHold ?? 1000) : hold;
+    }
+    
     triggerShake(intensityMultiplier = 1.0) {
         const shake = CONFIG.cameraShake || { intensity: 0.015, duration: 300 };
         this.shakeIntensity = shake.intensity * intensityMultiplier;
@@ -146,7 +212,7 @@ export class BulletTime {
         
         // Strong shake for bullet cam (needs to be visible at distance)
         const bulletCamMultiplier = 20;
-        const time = Date.now() * shake.frequency * 0.001;
+        const time = this.clock.getElapsedMs() * shake.frequency * 0.001;
         return {
             x: Math.sin(time * 13.7) * intensity * bulletCamMultiplier,
             y: Math.cos(time * 17.3) * intensity * bulletCamMultiplier,
@@ -162,16 +228,34 @@ export class BulletTime {
             this.shakeTime -= delta * 1000;
         }
         
-        const elapsed = Date.now() - this.startTime;
+        const elapsed = this.clock.getElapsedMs() - this.startTime;
         this.progress = Math.min(elapsed / CONFIG.bulletTimeDuration, 1);
         
         // Linear movement for constant speed bullet
         const bulletProgress = this.progress;
         
-        // Move bullet at constant speed
-        const startPos = this.mainCamera.position.clone();
-        this.bullet.position.lerpVectors(startPos, this.targetPos, bulletProgress);
-        this.bullet.lookAt(this.targetPos);
+        // Keep aiming at the hit point on the (slowly) moving animal
+        if (this.targetAnimal) {
+            this.targetPos.copy(this.targetLocal);
+            this.targetAnimal.localToWorld(this.targetPos);
+        }
+        
+        if (this.hit.trajectory) {
+            // Follow the simulated flight path (drop + wind drift), blending
+            // its end onto the hit point as the animal keeps moving
+            const { points } = this.hit.trajectory;
+            const drift = this.targetPos.clone().sub(points[points.length - 1]);
+            Ballistics.sample(this.hit.trajectory, bulletProgress, this.bullet.position)
+                .addScaledVector(drift, bulletProgress);
+            const ahead = Ballistics.sample(this.hit.trajectory, Math.min(bulletProgress + 0.01, 1))
+                .addScaledVector(drift, bulletProgress);
+            this.bullet.lookAt(bulletProgress < 1 ? ahead : this.targetPos);
+        } else {
+            // Move bullet at constant speed
+            const startPos = this.mainCamera.position.clone();
+            this.bullet.position.lerpVectors(startPos, this.targetPos, bulletProgress);
+            this.bullet.lookAt(this.targetPos);
+        }
         
         // Spin bullet around its flight axis (Z)
         this.bulletSpin += delta * 3; // Fast spin
@@ -179,48 +263,114 @@ export class BulletTime {
             this.bulletInner.rotation.z = this.bulletSpin;
         }
         
-        const bulletPos = this.bullet.position.clone();
+        this.updateCamera(elapsed);
         
-        // Orbit camera around bullet - slower rotation (half speed)
-        this.cameraAngle += delta * 1.0;
+        if (this.hit.miss) this.updateImpact(delta);
         
-        // Camera distance stays relatively constant
-        const camDist = 4;
-        const camHeight = 1.5 + Math.sin(this.cameraAngle * 0.5) * 0.5;
+        return elapsed >= CONFIG.bulletTimeDuration + this.getHoldTime();
+    }
+    
+    /**
+     * Place the camera from the current rig segment, easing across segment boundaries
+     */
+    updateCamera(elapsed) {
+        const ctx = this.rigContext;
+        ctx.bullet = this.bullet.position;
+        ctx.flightDir.set(0, 0, 1).applyQuaternion(this.bullet.quaternion);
+        ctx.target = this.targetPos;
+        ctx.animal = this.hit.animal || null;
+        ctx.time = elapsed / 1000;
+        
+        const holdTime = elapsed - CONFIG.bulletTimeDuration;
+        if (this.freeze && holdTime >= 0) {
+            // Bullet landed - freeze on the last frame and zoom in
+            if (!this.frozenPose) this.frozenPose = clonePose(this.pose);
+            ctx.frozen = this.frozenPose;
+            ctx.local = THREE.MathUtils.clamp(holdTime / (this.freeze.hold || 1), 0, 1);
+            this.evaluateRig('freeze', ctx, this.pose);
+        } else {
+            this.evaluateSegments(ctx);
+        }
         
         // Apply camera shake
         const shake = this.getShakeOffset();
         
         this.camera.position.set(
-            bulletPos.x + Math.cos(this.cameraAngle) * camDist + shake.x,
-            bulletPos.y + camHeight + shake.y,
-            bulletPos.z + Math.sin(this.cameraAngle) * camDist + shake.z
+            this.pose.position.x + shake.x,
+            this.pose.position.y + shake.y,
+            this.pose.position.z + shake.z
         );
-        this.camera.lookAt(bulletPos);
+        this.camera.lookAt(this.pose.lookAt);
         
-        return this.progress >= 1;
+        if (this.camera.fov !== this.pose.fov) {
+            this.camera.fov = this.pose.fov;
+            this.camera.updateProjectionMatrix();
+        }
+    }
+    
+    evaluateSegments(ctx) {
+        const segments = this.segments;
+        const p = this.progress;
+        const blend = CONFIG.bulletCam?.blend ?? 0.15;
+        
+        let index = segments.findIndex(segment => p <= segment.until);
+        if (index < 0) index = segments.length - 1;
+        
+        const segment = segments[index];
+        const start = index > 0 ? segments[index - 1].until : 0;
+        ctx.local = THREE.MathUtils.clamp((p - start) / Math.max(segment.until - start, 1e-6), 0, 1);
+        this.evaluateRig(segment.rig, ctx, this.pose);
+        
+        // Ease out of the previous segment's final pose
+        if (index > 0 && blend > 0 && p - start < blend) {
+            ctx.local = 1;
+            this.evaluateRig(segments[index - 1].rig, ctx, this.blendPose);
+            blendPoses(this.blendPose, this.pose, easeInOutCubic((p - start) / blend), this.pose);
+        }
     }
     
+    evaluateRig(name, ctx, out) {
+        const rig = BulletCamRigs[name] || BulletCamRigs.orbit;
+        rig(ctx, CONFIG.bulletCam?.rigs?.[name] || {}, out);
+    }
+    
+    /**
+     * Near miss - burst at the impact point once the bullet lands
+     */
+    updateImpact(delta) {
+        if (this.progress < 1) return;
+        
+        if (!this.impactSpawned) {
+            this.impactSpawned = true;
+            this.impact.spawn(this.targetPos, this.hit.surface, this.mainCamera.position);
+            this.onImpact?.(this.targetPos, this.hit.surface);
+            this.triggerShake(0.6);
+            if (this.bullet) this.bullet.visible = false;
+        }
+        this.impact.update(delta);
+    }
+    
+    /**
+     * @returns {Object|null} The hit this bullet cam was started with (null for a near miss or if target already dead)
+     */
     end() {
-        const hitAnimal = this.targetAnimal?.userData?.alive ? this.targetAnimal : null;
+        const hit = this.targetAnimal?.userData?.alive ? this.hit : null;
         
         if (this.bullet) {
             this.scene.remove(this.bullet);
             this.bullet = null;
         }
         
+        this.impact.dispose();
         
         this.active = false;
         this.targetAnimal = null;
+        this.hit = null;
         
         document.getElementById('bullet-time')?.classList.remove('active');
         document.getElementById('slowmo-text')?.classList.remove('visible');
         
-        return hitAnimal;
-    }
-    
-    easeInOutCubic(t) {
-        return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+        return hit;
     }
     
     resize() {
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { CONFIG } from '../config';
+import { AnimalTypes } from './AnimalTypes';
 
 // API endpoint for spawn points (built into webpack dev server)
 const API_URL = '/api/spawn-points';
@@ -64,11 +65,8 @@ export class DebugEditor {
                 const response = await fetch(API_URL);
                 const data = await response.json();
                 if (data.success && data.points && data.points.length > 0) {
-                    this.spawnPoints = data.points.map(p => ({
-                        x: p.x,
-                        z: p.z,
-                        type: p.type
-                    }));
+                    // Keep every authored field (herd, trail, route, behavior flags)
+                    this.spawnPoints = data.points.map(p => ({ ...p }));
                     console.log(`%c📍 Loaded ${this.spawnPoints.length} spawn points from API`, 'color: #2196F3');
                     return;
                 }
@@ -79,11 +77,7 @@ export class DebugEditor {
         
         // Production или fallback: берём из CONFIG (загружены из JSON импорта)
         if (CONFIG.spawnPoints && Array.isArray(CONFIG.spawnPoints) && CONFIG.spawnPoints.length > 0) {
-            this.spawnPoints = CONFIG.spawnPoints.map(p => ({
-                x: p.x,
-                z: p.z,
-                type: p.type || 'deer'
-            }));
+            this.spawnPoints = CONFIG.spawnPoints.map(p => ({ ...p, type: p.type || 'deer' }));
             console.log(`%c📍 Loaded ${this.spawnPoints.length} spawn points from config`, 'color: #2196F3');
         }
     }
@@ -117,9 +111,10 @@ export class DebugEditor {
         if (e.code === 'ShiftLeft' || e.code === 'ShiftRight') this.keys.shift = true;
         
         // Spawn editor controls
-        if (e.code === 'Digit1') { this.selectedType = 'deer'; this.updateUI(); }
-        if (e.code === 'Digit2') { this.selectedType = 'bear'; this.updateUI(); }
-        if (e.code === 'Digit3') { this.selectedType = 'rabbit'; this.updateUI(); }
+        // Number keys pick a registered animal type (1 = first)
+        const digit = e.code.match(/^Digit([1-9])$/);
+        const typeId = digit && Object.keys(AnimalTypes)[digit[1] - 1];
+        if (typeId) { this.selectedType = typeId; this.updateUI(); }
         if (e.code === 'KeyC' && !e.repeat) this.copyToClipboard();
         if (e.code === 'KeyX' && !e.repeat) this.clearPoints();
         if (e.code === 'KeyZ' && !e.repeat) this.undoLastPoint();
@@ -171,7 +166,16 @@ export class DebugEditor {
     }
     
     toggle() {
-        this.active = !this.active;
+        // Game state machine decides whether debug mode is allowed right now
+        this.game.toggleDebug();
+    }
+    
+    /**
+     * Called by the game state machine on entering/leaving the debug state
+     */
+    setActive(active) {
+        if (this.active === active) return;
+        this.active = active;
         
         if (this.active) {
             this.enter();
@@ -208,7 +212,7 @@ export class DebugEditor {
         
         console.log('%c🔧 DEBUG MODE ENABLED', 'color: #4CAF50; font-size: 16px; font-weight: bold');
         console.log('Controls: WASD=Move, Space/Q=Up/Down, Shift=Fast, Mouse=Look');
-        console.log('Spawn: 1/2/3=Type, LClick=Place, RClick=Delete, Z=Undo, C=Copy, X=Clear, E=Exit');
+        console.log(`Spawn: 1-${Object.keys(AnimalTypes).length}=Type, LClick=Place, RClick=Delete, Z=Undo, C=Copy, X=Clear, E=Exit`);
     }
     
     exit() {
@@ -363,25 +367,22 @@ export class DebugEditor {
     }
     
     createMarker(point, index) {
-        const colors = {
-            deer: 0xFFD700,
-            bear: 0x9C27B0,
-            rabbit: 0x9E9E9E
-        };
+        // Marker color follows the type's label style
+        const color = AnimalTypes[point.type]?.label?.circleColor || 0xffffff;
         
         const marker = new THREE.Group();
         marker.userData.spawnIndex = index;
         
         // Pole
         const poleGeo = new THREE.CylinderGeometry(0.1, 0.1, 3, 8);
-        const poleMat = new THREE.MeshBasicMaterial({ color: colors[point.type] || 0xffffff });
+        const poleMat = new THREE.MeshBasicMaterial({ color });
         const pole = new THREE.Mesh(poleGeo, poleMat);
         pole.position.y = 1.5;
         marker.add(pole);
         
         // Sphere on top
         const sphereGeo = new THREE.SphereGeometry(0.4, 8, 8);
-        const sphereMat = new THREE.MeshBasicMaterial({ color: colors[point.type] || 0xffffff });
+        const sphereMat = new THREE.MeshBasicMaterial({ color });
         const sphere = new THREE.Mesh(sphereGeo, sphereMat);
         sphere.position.y = 3.2;
         marker.add(sphere);
@@ -404,6 +405,18 @@ export class DebugEditor {
         const y = this.game.world ? this.game.world.getTerrainHeight(point.x, point.z) : 0;
         marker.position.set(point.x, y, point.z);
         
+        // Authored route - line through the waypoints (marker-relative)
+        if (point.route?.length) {
+            const vertices = [new THREE.Vector3(0, 0.3, 0)];
+            point.route.forEach(wp => {
+                const wy = this.game.world ? this.game.world.getTerrainHeight(wp.x, wp.z) : 0;
+                vertices.push(new THREE.Vector3(wp.x - point.x, wy - y + 0.3, wp.z - point.z));
+            });
+            const routeGeo = new THREE.BufferGeometry().setFromPoints(vertices);
+            const routeMat = new THREE.LineBasicMaterial({ color });
+            marker.add(new THREE.Line(routeGeo, routeMat));
+        }
+        
         this.scene.add(marker);
         this.markers.push(marker);
     }
@@ -501,9 +514,9 @@ export class DebugEditor {
             return;
         }
         
-        const code = `spawnPoints: [\n${this.spawnPoints.map(p => 
-            `        { x: ${p.x}, z: ${p.z}, type: '${p.type}' }`
-        ).join(',\n')}\n    ]`;
+        // Same format as the dev server writes to spawn-points.js (unquoted keys, single quotes)
+        const format = value => JSON.stringify(value).replace(/"(\w+)":/g, '$1: ').replace(/"/g, "'").replace(/,/g, ', ');
+        const code = `spawnPoints: [\n${this.spawnPoints.map(p => `        ${format(p)}`).join(',\n')}\n    ]`;
         
         navigator.clipboard.writeText(code).then(() => {
             console.log('%c📋 Copied to clipboard!', 'color: #4CAF50; font-size: 14px');
@@ -545,7 +558,7 @@ export class DebugEditor {
                     <div class="debug-label">Spawn Type</div>
                     <div class="debug-type">
                         <span id="debug-type-display">DEER</span>
-                        <span class="debug-hint">(1/2/3)</span>
+                        <span class="debug-hint">(1-${Object.keys(AnimalTypes).length})</span>
                     </div>
                 </div>
                 <div class="debug-section">
@@ -8,10 +8,52 @@ import { BulletTime } from './BulletTime';
 import { AudioManager } from './AudioManager';
 import { DebugEditor } from './DebugEditor';
 import { Rifle } from './Rifle';
+import { GameClock } from './GameClock';
+import { Scheduler } from './Scheduler';
+import { StateMachine } from './StateMachine';
+import { HitDetector } from './HitDetector';
+import { Scoring } from './Scoring';
+import { Ballistics } from './Ballistics';
+import { getAnimalType } from './AnimalTypes';
+import { QualityManager } from './QualityManager';
+import { updateWind } from './Wind';
 
 // Load spawn points from JS module (for production build)
 CONFIG.spawnPoints = Array.isArray(spawnPointsData) ? spawnPointsData : [];
 
+/**
+ * Game flow states
+ */
+export const GameState = {
+    LOADING: 'loading',
+    INTRO: 'intro',                      // Started, waiting for first animal
+    IDLE: 'idle',                        // Watching the target
+    AIMING: 'aiming',                    // Scope up, finger down
+    BULLET_CAM: 'bulletCam',             // Slow-motion bullet flight
+    DEATH: 'death',                      // Target death animation
+    BETWEEN_TARGETS: 'betweenTargets',   // Waiting for next spawn
+    END_CARD: 'endCard',                 // CTA shown
+    FAILED: 'failed',                    // A charging animal reached the tower
+    DEBUG: 'debug'                       // Debug editor (free-fly camera)
+};
+
+const S = GameState;
+
+// Allowed transitions - anything else is impossible by construction
+const GAME_TRANSITIONS = {
+    [S.LOADING]: [S.INTRO],
+    [S.INTRO]: [S.IDLE, S.DEBUG],
+    [S.IDLE]: [S.AIMING, S.BETWEEN_TARGETS, S.FAILED, S.DEBUG],           // Between targets: a wounded target escaped
+    [S.AIMING]: [S.IDLE, S.BULLET_CAM, S.BETWEEN_TARGETS, S.FAILED, S.DEBUG],
+    [S.BULLET_CAM]: [S.DEATH, S.IDLE],
+    [S.DEATH]: [S.BETWEEN_TARGETS, S.IDLE, S.FAILED, S.DEBUG],   // Idle: a protected animal died or the target was only wounded
+    [S.BETWEEN_TARGETS]: [S.IDLE, S.END_CARD, S.DEBUG],
+    [S.END_CARD]: [],
+    [S.FAILED]: [],
+    // Debug returns to the state it was entered from (aiming falls back to idle)
+    [S.DEBUG]: [S.INTRO, S.IDLE, S.DEATH, S.BETWEEN_TARGETS]
+};
+
 /**
  * Main game controller - Camera on tower looks at moving animal
  */
@@ -23,19 +65,31 @@ export class Game {
         this.state = {
             score: 0,
             kills: 0,
+            escaped: 0,           // Wounded targets that got away (spawn points used = kills + escaped)
             currentFov: CONFIG.baseFov,
             targetFov: CONFIG.baseFov,
-            canShoot: true,
-            isAiming: false,
             timeScale: 1,
-            gameEnded: false,
             // Camera shake
             shakeIntensity: 0,
             shakeTime: 0
         };
         
-        // Current target animal
+        // Current target animal (herd leader) and its whole group
         this.currentAnimal = null;
+        this.currentHerd = [];
+        
+        // Pause state (driven by SDK pause/resume)
+        this.paused = false;
+        
+        // Score/miss popup elements waiting to be reused
+        this.popupPool = [];
+        
+        // Game clock - all time-based systems read from it
+        this.clock = new GameClock();
+        
+        // Gameplay timers (spawns, cooldowns, CTA) - advanced by the game clock
+        this.scheduler = new Scheduler();
+        this.shootCooldownTask = null;
         
         // Camera lookAt state (smooth tracking)
         this.cameraLookAt = {
@@ -53,32 +107,140 @@ export class Game {
             touchStartY: 0,
         };
         
+        this.stateMachine = this.createStateMachine();
+        
         this.init();
     }
     
+    /**
+     * Build the game flow state machine (enter/exit hooks own all UI and camera side effects)
+     */
+    createStateMachine() {
+        return new StateMachine({
+            initial: S.LOADING,
+            transitions: GAME_TRANSITIONS,
+            onChange: (from, to) => console.log(`[State] ${from} → ${to}`),
+            states: {
+                [S.AIMING]: {
+                    enter: () => {
+                        this.initAudio();
+                        this.state.targetFov = CONFIG.zoomedFov;
+                        this.showAimUI(true);
+                        this.rifle?.playScopeIn();
+                    },
+                    exit: () => {
+                        this.state.targetFov = CONFIG.baseFov;
+                        this.crosshair.offsetX = 0;
+                        this.crosshair.offsetY = 0;
+                        this.showAimUI(false);
+                        this.updateCrosshairUI();
+                        // Reload анимация сама вернётся к Idle - НЕ вызываем playScopeOut()
+                    }
+                },
+                [S.BULLET_CAM]: {
+                    enter: (from, shot) => {
+                        this.animalManager.hideAllLabels();
+                        this.state.timeScale = this.bulletTime.start(shot);
+                        this.setBulletTimeUI(true);
+                    },
+                    exit: () => {
+                        this.state.timeScale = 1;
+                        this.setBulletTimeUI(false);
+                        this.startCameraShake(0.5);
+                        this.startShootCooldown();
+                    }
+                },
+                [S.DEATH]: {
+                    enter: (from, hit) => {
+                        // Returning from debug - death animation is already running
+                        if (from === S.DEBUG) return;
+                        this.onBulletHit(hit);
+                    }
+                },
+                [S.BETWEEN_TARGETS]: {
+                    enter: (from) => {
+                        if (from === S.DEBUG) return;
+                        
+                        // Check if all spawn points completed
+                        const totalTargets = CONFIG.spawnPoints?.length || CONFIG.showCtaAfterKills;
+                        if (this.getTargetIndex() >= totalTargets) {
+                            this.stateMachine.transition(S.END_CARD);
+                        } else {
+                            // Spawn next animal from next spawn point
+                            this.scheduler.after(CONFIG.nextSpawnDelay || 800, () => this.spawnNextAnimal(), 'nextSpawn');
+                        }
+                    }
+                },
+                [S.END_CARD]: {
+                    enter: () => {
+                        console.log('✅ All spawn points completed!');
+                        this.scheduler.after(500, () => this.showCTA(), 'showCTA');
+                    }
+                },
+                [S.FAILED]: {
+                    enter: () => {
+                        console.log('💀 A charging animal reached the tower');
+                        this.animalManager.hideAllLabels();
+                        this.updateDangerUI(null);
+                        this.showFailScreen();
+                        this.scheduler.after(CONFIG.danger?.failDelay ?? 1500, () => this.showCTA(), 'showCTA');
+                    }
+                },
+                [S.DEBUG]: {
+                    canEnter: () => !!this.debugEditor,
+                    enter: (from) => {
+                        // Aiming can't be resumed after debug - go back to idle
+                        this.debugReturnState = from === S.AIMING ? S.IDLE : from;
+                        this.debugEditor.setActive(true);
+                    },
+                    exit: () => this.debugEditor.setActive(false)
+                }
+            }
+        });
+    }
+    
+    /**
+     * Toggle debug editor (only where the state machine allows it)
+     */
+    toggleDebug() {
+        const fsm = this.stateMachine;
+        if (fsm.is(S.DEBUG)) {
+            fsm.transition(this.debugReturnState);
+        } else if (fsm.can(S.DEBUG)) {
+            fsm.transition(S.DEBUG);
+        }
+    }
+    
     init() {
         this.setupRenderer();
         this.setupScene();
         this.setupCamera();
         this.setupLighting();
         
-        this.world = new World(this.scene);
+        this.world = new World(this.scene, { vegetationDensity: this.quality.getVegetationDensity() });
         this.world.create();
+        this.quality.attach(this.world, this.scene);
         
-        this.animalManager = new AnimalManager(this.scene, this.world);
+        this.animalManager = new AnimalManager(this.scene, this.world, this.scheduler);
+        this.animalManager.towerPosition.copy(this.camera.position);
         
-        this.bulletTime = new BulletTime(this.scene, this.camera);
+        this.bulletTime = new BulletTime(this.scene, this.camera, this.clock);
+        this.bulletTime.onImpact = (point, surface) => {
+            if (surface === 'terrain') this.world.grassField.addImpact(point);
+        };
         
         // First-person rifle (follows camera)
         this.rifle = new Rifle(this.camera, this.scene);
         
         this.raycaster = new THREE.Raycaster();
+        this.hitDetector = new HitDetector();
+        this.scoring = new Scoring();
+        this.ballistics = new Ballistics(this.hitDetector, this.world);
         
         // Audio system
         this.audio = new AudioManager();
         
         this.setupInput();
-        this.clock = new THREE.Clock();
         
         // Debug editor (press E to toggle)
         this.debugEditor = new DebugEditor(this);
@@ -88,7 +250,39 @@ export class Game {
         this.updateScoreUI();
         
         // Spawn first animal after a short delay
-        setTimeout(() => this.spawnNextAnimal(), CONFIG.firstSpawnDelay || 500);
+        this.scheduler.after(CONFIG.firstSpawnDelay || 500, () => this.spawnNextAnimal(), 'firstSpawn');
+    }
+    
+    /**
+     * Block shooting for CONFIG.shootCooldown (restarts a pending cooldown)
+     */
+    startShootCooldown() {
+        this.shootCooldownTask?.cancel();
+        this.shootCooldownTask = this.scheduler.after(CONFIG.shootCooldown, () => {
+            this.shootCooldownTask = null;
+        }, 'shootCooldown');
+    }
+    
+    /**
+     * Pause the game (ad backgrounded) - freezes clock, animals, bullet time, timers and audio
+     */
+    pause() {
+        if (this.paused) return;
+        this.paused = true;
+        
+        this.clock.pause();
+        this.audio.pause();
+    }
+    
+    /**
+     * Resume the game exactly where it was paused
+     */
+    resume() {
+        if (!this.paused) return;
+        this.paused = false;
+        
+        this.clock.resume();
+        this.audio.resume();
     }
     
     /**
@@ -113,33 +307,57 @@ export class Game {
         }
         
         // Check if we have more spawn points
-        if (this.state.kills >= CONFIG.spawnPoints.length) {
-            console.log('✅ All spawn points completed!');
-            this.state.gameEnded = true;
-            setTimeout(() => this.showCTA(), 500);
+        if (this.getTargetIndex() >= CONFIG.spawnPoints.length) {
+            this.stateMachine.transition(S.END_CARD);
             return;
         }
         
-        const spawnPoint = CONFIG.spawnPoints[this.state.kills];
-        const animal = this.animalManager.spawnAnimal(
+        // Whatever is left of the previous group has run off
+        this.currentHerd.forEach(member => {
+            if (member.userData.alive) this.animalManager.remove(member);
+        });
+        
+        const spawnPoint = CONFIG.spawnPoints[this.getTargetIndex()];
+        const herd = this.animalManager.spawnHerd(
             spawnPoint.type || 'deer',
             spawnPoint.x,
-            spawnPoint.z
+            spawnPoint.z,
+            spawnPoint.herd,
+            {
+                trail: spawnPoint.trail,
+                route: spawnPoint.route,
+                routeEnd: spawnPoint.routeEnd,
+                ignoreTower: spawnPoint.ignoreTower
+            }
         );
         
+        const animal = herd[0];
         if (!animal) return;
         
         this.currentAnimal = animal;
-        console.log(`🦌 Spawned ${spawnPoint.type || 'deer'} at spawn point #${this.state.kills + 1}/${CONFIG.spawnPoints.length}`);
+        this.currentHerd = herd;
+        herd.forEach(member => {
+            member.userData.spawnedAt = this.clock.getElapsedMs();
+        });
+        console.log(`🦌 Spawned ${spawnPoint.type || 'deer'}${herd.length > 1 ? ` herd (${herd.length})` : ''} at spawn point #${this.getTargetIndex() + 1}/${CONFIG.spawnPoints.length}`);
         
-        // Look at new animal
-        const lookAt = this.getAnimalLookAtPosition(animal);
+        // Look at new animal group
+        const lookAt = this.getHerdLookAtPosition(herd);
         this.cameraLookAt.target.copy(lookAt);
         
         // Snap camera on first spawn
-        if (this.state.kills === 0) {
+        if (this.getTargetIndex() === 0) {
             this.cameraLookAt.current.copy(lookAt);
         }
+        
+        this.stateMachine.transition(S.IDLE);
+    }
+    
+    /**
+     * Spawn points used so far - killed or escaped targets
+     */
+    getTargetIndex() {
+        return this.state.kills + this.state.escaped;
     }
     
     /**
@@ -153,16 +371,53 @@ export class Game {
         return pos;
     }
     
+    /**
+     * Look-at position framing a group (center of its alive members)
+     */
+    getHerdLookAtPosition(herd) {
+        const alive = herd.filter(member => member.userData.alive);
+        if (alive.length <= 1) return this.getAnimalLookAtPosition(alive[0] || herd[0]);
+        
+        const center = new THREE.Vector3();
+        alive.forEach(member => center.add(member.position));
+        center.divideScalar(alive.length);
+        center.y += 1;
+        return center;
+    }
+    
+    /**
+     * Watching FOV wide enough to keep the whole group on screen
+     */
+    getHerdFov(herd, center) {
+        const framing = CONFIG.herdFraming || { padding: 1.3, maxFov: 65 };
+        const toCenter = center.clone().sub(this.camera.position).normalize();
+        
+        // Widest angle between the group center and any member (with body margin)
+        let maxAngle = 0;
+        herd.forEach(member => {
+            if (!member.userData.alive) return;
+            const toMember = member.position.clone().sub(this.camera.position);
+            const margin = Math.atan2(2, toMember.length());
+            maxAngle = Math.max(maxAngle, toCenter.angleTo(toMember.normalize()) + margin);
+        });
+        
+        // Horizontal half-angle → vertical FOV
+        const halfAngle = Math.min(maxAngle * framing.padding, Math.PI * 0.45);
+        const fov = THREE.MathUtils.radToDeg(2 * Math.atan(Math.tan(halfAngle) / this.camera.aspect));
+        return THREE.MathUtils.clamp(fov, CONFIG.baseFov, framing.maxFov);
+    }
+    
     setupRenderer() {
+        // Quality tier decides antialiasing, so it has to exist before the renderer
+        this.quality = new QualityManager();
+        
         this.renderer = new THREE.WebGLRenderer({
             canvas: this.canvas,
-            antialias: true,
+            ...this.quality.getRendererOptions(),
             powerPreference: 'high-performance'
         });
         this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, CONFIG.maxPixelRatio));
-        this.renderer.shadowMap.enabled = true;
-        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        this.quality.applyRenderer(this.renderer);
         this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
         this.renderer.toneMappingExposure = 1;
     }
@@ -192,9 +447,7 @@ export class Game {
         
         const sun = new THREE.DirectionalLight(0xfff8e8, 3);
         sun.position.set(-110, 200, 95);
-        sun.castShadow = true;
-        sun.shadow.mapSize.width = CONFIG.shadowMapSize;
-        sun.shadow.mapSize.height = CONFIG.shadowMapSize;
+        this.quality.applyLight(sun);
         sun.shadow.camera.near = 10;
         sun.shadow.camera.far = 300;
         sun.shadow.camera.left = -100;
@@ -215,17 +468,11 @@ export class Game {
             return { x: touch.clientX, y: touch.clientY };
         };
         
+        // Input is ignored while the SDK has the game paused
         const onStart = (e) => {
-            if (this.state.gameEnded) return;
-            if (this.bulletTime.active) return;
-            if (this.debugEditor?.active) return;
+            if (this.paused || !this.stateMachine.can(S.AIMING)) return;
             
             e.preventDefault();
-            this.initAudio();
-            
-            // Start aiming
-            this.state.isAiming = true;
-            this.state.targetFov = CONFIG.zoomedFov;
             
             // Store touch start position
             const pos = getPos(e);
@@ -234,15 +481,12 @@ export class Game {
             this.crosshair.startX = this.crosshair.offsetX;
             this.crosshair.startY = this.crosshair.offsetY;
             
-            // Show scope UI
-            this.showAimUI(true);
-            
-            // Rifle scope animation
-            this.rifle?.playScopeIn();
+            // Start aiming (scope UI, zoom, rifle animation in state hooks)
+            this.stateMachine.transition(S.AIMING);
         };
         
         const onMove = (e) => {
-            if (!this.state.isAiming) return;
+            if (this.paused || !this.stateMachine.is(S.AIMING)) return;
             e.preventDefault();
             
             const pos = getPos(e);
@@ -267,25 +511,10 @@ export class Game {
         };
         
         const onEnd = () => {
-            if (!this.state.isAiming) return;
+            if (this.paused || !this.stateMachine.is(S.AIMING)) return;
             
             // Shoot when released (Reload animation will play)
             this.shoot();
-            
-            // End aiming
-            this.state.isAiming = false;
-            this.state.targetFov = CONFIG.baseFov;
-            
-            // Reset crosshair
-            this.crosshair.offsetX = 0;
-            this.crosshair.offsetY = 0;
-            
-            // Hide scope UI
-            this.showAimUI(false);
-            this.updateCrosshairUI();
-            
-            // После выстрела Reload анимация сама вернётся к Idle
-            // НЕ вызываем playScopeOut() - иначе конфликт анимаций
         };
         
         // Touch events
@@ -300,26 +529,15 @@ export class Game {
         
         // Spacebar to shoot (for testing)
         document.addEventListener('keydown', (e) => {
-            if (e.code === 'Space' && !e.repeat) {
+            if (e.code === 'Space' && !e.repeat && !this.paused && this.stateMachine.can(S.AIMING)) {
                 e.preventDefault();
-                if (!this.state.isAiming) {
-                    this.state.isAiming = true;
-                    this.state.targetFov = CONFIG.zoomedFov;
-                    this.showAimUI(true);
-                    this.rifle?.playScopeIn();
-                }
+                this.stateMachine.transition(S.AIMING);
             }
         });
         
         document.addEventListener('keyup', (e) => {
-            if (e.code === 'Space') {
-                if (this.state.isAiming) {
-                    this.shoot();
-                    this.state.isAiming = false;
-                    this.state.targetFov = CONFIG.baseFov;
-                    this.showAimUI(false);
-                    // Reload анимация сама вернётся к Idle
-                }
+            if (e.code === 'Space' && !this.paused && this.stateMachine.is(S.AIMING)) {
+                this.shoot();
             }
         });
         
@@ -369,11 +587,12 @@ export class Game {
     }
     
     /**
-     * Check what we're aiming at (raycast from camera through crosshair)
+     * Resolve the shot under the crosshair
+     * @returns {{ hit: Object|null, nearMiss: Object|null, impact: Object|null }} nearMiss is a bullet cam target
+     *   ({ miss: true, animal, point, surface }) when the bullet only just passes an animal;
+     *   impact is where a plain miss landed ({ point, surface })
      */
     checkTargeting() {
-        if (!this.currentAnimal || !this.currentAnimal.userData.alive) return null;
-        
         // Create ray from camera through crosshair position (center of screen + offset)
         const crosshairPos = new THREE.Vector2(
             this.crosshair.offsetX * 0.5,
@@ -382,65 +601,109 @@ export class Game {
         
         this.raycaster.setFromCamera(crosshairPos, this.camera);
         
-        // Check if ray is close enough to the animal
-        const animalPos = this.currentAnimal.position.clone();
-        animalPos.y += 0.8; // Center of body
-        
-        const toAnimal = animalPos.clone().sub(this.camera.position);
-        const rayDir = this.raycaster.ray.direction;
-        const dot = toAnimal.dot(rayDir);
+        // Ballistics mode - simulate drop, wind and travel time against moving animals
+        if (CONFIG.ballistics?.enabled) {
+            const shot = this.ballistics.simulate(
+                this.raycaster.ray.origin,
+                this.raycaster.ray.direction,
+                this.animalManager.getAlive()
+            );
+            if (shot.hit) {
+                shot.hit.trajectory = shot.trajectory;
+                return { hit: shot.hit, nearMiss: null };
+            }
+            const nearMiss = shot.near && shot.impact ? {
+                miss: true,
+                animal: shot.near.animal,
+                point: shot.impact.point,
+                surface: shot.impact.surface,
+                trajectory: shot.trajectory
+            } : null;
+            return { hit: null, nearMiss, impact: nearMiss ? null : shot.impact };
+        }
         
-        if (dot < 0) return null;
+        // Test every alive animal - whichever is under the crosshair
+        const animals = this.animalManager.getAlive();
+        const hit = this.hitDetector.intersect(this.raycaster, animals);
+        if (hit) return { hit, nearMiss: null, impact: null };
         
-        // Find closest point on ray to animal
-        const closest = this.camera.position.clone().add(rayDir.clone().multiplyScalar(dot));
-        const dist = closest.distanceTo(animalPos);
+        const { ray } = this.raycaster;
+        const nearMiss = this.findNearMiss(ray, animals);
+        return { hit: null, nearMiss, impact: nearMiss ? null : this.world.intersectEnvironment(ray.origin, ray.direction) };
+    }
+    
+    /**
+     * Hitscan near miss - the ray passes within CONFIG.nearMiss.radius of an animal
+     * and ends in terrain or a tree behind it
+     */
+    findNearMiss(ray, animals) {
+        const cfg = CONFIG.nearMiss;
+        if (!cfg?.enabled) return null;
         
-        // Larger hit radius for easier aiming
-        const targetRadius = (this.currentAnimal.userData.boundingRadius || 1) * 2.5;
+        const passed = this.hitDetector.intersectCapsules(ray, animals, cfg.radius, cfg.maxDistance);
+        if (!passed) return null;
         
-        if (dist < targetRadius) {
-            return this.currentAnimal;
-        }
+        const impact = this.world.intersectEnvironment(ray.origin, ray.direction, cfg.maxDistance);
+        // Bullet must fly past the animal, not stop in a tree in front of it
+        if (!impact || impact.distance < passed.distance) return null;
         
-        return null;
+        return { miss: true, animal: passed.animal, point: impact.point, surface: impact.surface };
     }
     
     /**
-     * Shoot
+     * Shoot (only from aiming) - ends aiming with a hit (bullet cam) or a miss (idle)
      */
     shoot() {
-        if (!this.state.canShoot || this.bulletTime.active) return;
-        if (this.state.gameEnded) return;
+        if (!this.stateMachine.is(S.AIMING)) return;
+        
+        // Still cooling down from the last shot - just lower the scope
+        if (this.shootCooldownTask) {
+            this.stateMachine.transition(S.IDLE);
+            return;
+        }
         
-        this.initAudio();
         this.audio.playGunshot();
         this.rifle?.playReload();
-        this.state.canShoot = false;
         
-        const targetAnimal = this.checkTargeting();
+        const { hit, nearMiss, impact } = this.checkTargeting();
+        
+        // Everything within earshot reacts - a missed target always bolts (or comes for the tower)
+        const missed = hit ? null : nearMiss?.animal || this.currentAnimal;
+        this.animalManager.onGunshot(this.camera.position, {
+            startled: missed ? [missed] : [],
+            ignore: hit ? [hit.animal] : []
+        });
+        if (missed?.userData.alive) this.provokeCharge(missed, 'miss');
         
-        if (targetAnimal) {
+        if (hit) {
+            // Snapshot shot conditions for scoring (animal keeps moving during bullet cam)
+            hit.shotAt = this.clock.getElapsedMs();
+            hit.targetSpeed = hit.animal.userData.speed;
+            
             // Hit - start bullet time
-            this.animalManager.hideAllLabels();
-            this.state.timeScale = this.bulletTime.start(targetAnimal);
-            this.setBulletTimeUI(true);
+            this.stateMachine.transition(S.BULLET_CAM, hit);
+        } else if (nearMiss) {
+            // Near miss - watch the bullet fly past, MISS shows after the impact
+            this.scoring.registerMiss();
+            this.stateMachine.transition(S.BULLET_CAM, nearMiss);
         } else {
             // Miss
+            this.scoring.registerMiss();
+            if (impact?.surface === 'terrain') this.world.grassField.addImpact(impact.point);
+            this.stateMachine.transition(S.IDLE);
             this.showMiss();
             this.startCameraShake(0.7);
-            setTimeout(() => { this.state.canShoot = true; }, CONFIG.shootCooldown);
+            this.startShootCooldown();
         }
     }
     
-    showMiss() {
-        const miss = document.createElement('div');
-        miss.className = 'miss-popup';
-        miss.textContent = 'MISS';
+    showMiss(text = 'MISS', variant = '') {
+        const miss = this.acquirePopup(variant ? `miss-popup ${variant}` : 'miss-popup');
+        this.setPopupLines(miss, [{ text }]);
         miss.style.left = '50%';
         miss.style.top = '45%';
         document.getElementById('ui')?.appendChild(miss);
-        setTimeout(() => miss.remove(), 1200);
+        this.releasePopup(miss, 1200);
     }
     
     startCameraShake(intensityMultiplier = 1.0) {
@@ -458,7 +721,7 @@ export class Game {
         const progress = Math.max(0, this.state.shakeTime / (CONFIG.cameraShake?.duration || 250));
         const intensity = this.state.shakeIntensity * progress;
         
-        const time = Date.now() * shake.frequency * 0.001;
+        const time = this.clock.getElapsedMs() * shake.frequency * 0.001;
         const shakeX = Math.sin(time * 13.7) * intensity;
         const shakeY = Math.cos(time * 17.3) * intensity;
         
@@ -466,7 +729,7 @@ export class Game {
     }
     
     setBulletTimeUI(active) {
-        const elementsToHide = ['joystick-zone', 'kills-panel', 'tap-hint', 'release-hint'];
+        const elementsToHide = ['joystick-zone', 'kills-panel', 'tap-hint', 'release-hint', 'danger-indicator', 'danger-edge'];
         
         if (active) {
             // Hide all UI during bullet time
@@ -488,31 +751,131 @@ export class Game {
         }
     }
     
-    onBulletHit(animal) {
-        if (!animal) return;
+    onBulletHit(hit) {
+        if (!hit) return;
+        
+        const { animal, zone } = hit;
+        
+        if (animal.userData.protected) {
+            this.onProtectedHit(hit);
+            return;
+        }
+        
+        if (this.isWoundingHit(hit)) {
+            this.onWoundingHit(hit);
+            return;
+        }
+        
+        const breakdown = this.scoring.registerHit({
+            points: animal.userData.points,
+            zone,
+            distance: Math.hypot(animal.position.x - this.camera.position.x, animal.position.z - this.camera.position.z),
+            speed: hit.targetSpeed,
+            timeToShot: hit.shotAt - (animal.userData.spawnedAt ?? hit.shotAt)
+        });
         
         animal.userData.alive = false;
-        this.state.score += animal.userData.points;
+        this.state.score += breakdown.total;
         this.state.kills++;
         
         this.updateScoreUI();
         this.showHitEffect();
-        this.showScorePopup(animal.userData.points);
+        this.showScorePopup(breakdown);
         
-        // Animate death
+        // Animate death (speed depends on hit zone)
         this.animalManager.animateDeath(animal, () => {
             this.animalManager.remove(animal);
-            
-            // Check if all spawn points completed
-            const totalTargets = CONFIG.spawnPoints?.length || CONFIG.showCtaAfterKills;
-            if (this.state.kills >= totalTargets) {
-                this.state.gameEnded = true;
-                setTimeout(() => this.showCTA(), 500);
-            } else {
-                // Spawn next animal from next spawn point
-                setTimeout(() => this.spawnNextAnimal(), CONFIG.nextSpawnDelay || 800);
+            this.stateMachine.transition(S.BETWEEN_TARGETS);
+        }, zone);
+    }
+    
+    /**
+     * Shot a protected animal (e.g. a fawn) - penalty, combo reset, the target is still out there
+     */
+    onProtectedHit(hit) {
+        const { animal, zone } = hit;
+        
+        animal.userData.alive = false;
+        const breakdown = this.scoring.registerPenalty();
+        this.state.score = Math.max(0, this.state.score + breakdown.total);
+        
+        this.updateScoreUI();
+        this.showScorePopup(breakdown);
+        
+        this.animalManager.animateDeath(animal, () => this.animalManager.remove(animal), zone);
+        this.stateMachine.transition(S.IDLE);
+    }
+    
+    /**
+     * Non-vital hits may only wound (chance per zone) - never a second time
+     */
+    isWoundingHit({ animal, zone }) {
+        const cfg = CONFIG.wounds;
+        if (!cfg?.enabled || animal.userData.wounded) return false;
+        return Math.random() < (cfg.chance?.[zone] ?? 0);
+    }
+    
+    /**
+     * Wounded the target - no points yet, it has to be finished before it escapes
+     */
+    onWoundingHit(hit) {
+        this.animalManager.wound(hit.animal, hit.zone);
+        this.provokeCharge(hit.animal, 'wound');
+        this.showHitEffect();
+        this.showMiss(CONFIG.wounds.label || 'WOUNDED', 'wound');
+        this.stateMachine.transition(S.IDLE);
+    }
+    
+    /**
+     * A wounded target made it past spawnRadius.max - lost, combo breaks, next spawn point
+     */
+    checkEscapes() {
+        const escaped = this.currentHerd.find(a => a.userData.alive && a.userData.escaped);
+        if (!escaped || !this.stateMachine.can(S.BETWEEN_TARGETS)) return;
+        
+        this.scoring.registerMiss();
+        this.state.escaped++;
+        this.animalManager.remove(escaped);
+        this.showMiss(CONFIG.wounds?.escapedLabel || 'ESCAPED');
+        this.stateMachine.transition(S.BETWEEN_TARGETS);
+    }
+    
+    /**
+     * Dangerous variant - an aggressive animal that was missed or wounded comes for the tower
+     * @param {string} trigger - 'miss' or 'wound' (matched against the type's aggression.on)
+     * @returns {boolean} true if it charges
+     */
+    provokeCharge(animal, trigger) {
+        const aggression = getAnimalType(animal.userData.type).aggression;
+        if (!CONFIG.danger?.enabled || !aggression || animal.userData.protected) return false;
+        if (!(aggression.on || ['miss', 'wound']).includes(trigger)) return false;
+        
+        this.animalManager.charge(animal);
+        return true;
+    }
+    
+    /**
+     * Charging animals - danger indicator for the closest one, fail when one reaches the tower
+     */
+    updateDanger() {
+        if (this.stateMachine.is(S.FAILED, S.END_CARD)) return;
+        
+        let charger = null;
+        let timeLeft = Infinity;
+        this.animalManager.getAlive().forEach(animal => {
+            if (animal.userData.state !== 'charging') return;
+            const time = this.animalManager.getTimeToTower(animal);
+            if (time < timeLeft) {
+                charger = animal;
+                timeLeft = time;
             }
         });
+        
+        this.updateDangerUI(charger, timeLeft);
+        
+        if (charger?.userData.reachedTower && this.stateMachine.can(S.FAILED)) {
+            this.stateMachine.transition(S.FAILED);
+        }
     }
     
     // ============ UI ============
@@ -529,20 +892,107 @@ export class Game {
         }
     }
     
+    /**
+     * Screen-edge arrow toward the charging animal with its time to impact (null hides it)
+     */
+    updateDangerUI(animal, timeLeft = 0) {
+        const el = document.getElementById('danger-indicator');
+        const edge = document.getElementById('danger-edge');
+        if (!el) return;
+        
+        if (!animal) {
+            el.classList.remove('active');
+            edge?.classList.remove('active');
+            return;
+        }
+        
+        // Project into NDC; behind the camera the direction flips
+        const ndc = animal.position.clone().setY(animal.position.y + 1.5).project(this.camera);
+        if (ndc.z > 1) ndc.multiplyScalar(-1);
+        
+        // Off-screen - pin to the edge along the same direction
+        const limit = 0.85;
+        const reach = Math.max(Math.abs(ndc.x), Math.abs(ndc.y));
+        const onScreen = reach <= limit;
+        if (!onScreen) ndc.multiplyScalar(limit / reach);
+        
+        el.style.left = `${(ndc.x * 0.5 + 0.5) * 100}%`;
+        el.style.top = `${(-ndc.y * 0.5 + 0.5) * 100}%`;
+        el.classList.add('active');
+        el.classList.toggle('edge', !onScreen);
+        
+        const arrow = el.querySelector('.danger-arrow');
+        if (arrow) arrow.style.transform = `rotate(${Math.atan2(-ndc.y, ndc.x)}rad) translateX(30px)`;
+        const countdown = el.querySelector('.danger-countdown');
+        if (countdown) countdown.textContent = timeLeft.toFixed(1);
+        
+        edge?.classList.add('active');
+    }
+    
+    showFailScreen() {
+        const el = document.getElementById('fail-screen');
+        if (!el) return;
+        el.textContent = CONFIG.danger?.failLabel || 'MAULED!';
+        el.classList.add('show');
+    }
+    
     showHitEffect() {
         const el = document.getElementById('hit-effect');
         el?.classList.add('show');
         setTimeout(() => el?.classList.remove('show'), 200);
     }
     
-    showScorePopup(points) {
-        const popup = document.createElement('div');
-        popup.className = 'score-popup';
-        popup.textContent = '+' + points;
+    /**
+     * Show score breakdown, e.g. "HEADSHOT +200 x2" with bonus lines below
+     */
+    showScorePopup(breakdown) {
+        const popup = this.acquirePopup(breakdown.penalty ? 'score-popup penalty' : 'score-popup');
+        
+        const main = `${breakdown.label} ${breakdown.base < 0 ? '' : '+'}${breakdown.base}` + (breakdown.multiplier > 1 ? ` x${breakdown.multiplier}` : '');
+        this.setPopupLines(popup, [
+            { text: main },
+            ...breakdown.bonuses.map(bonus => ({ text: `${bonus.label} +${bonus.points}`, className: 'score-bonus' }))
+        ]);
+        
         popup.style.left = '50%';
         popup.style.top = '40%';
         document.getElementById('ui')?.appendChild(popup);
-        setTimeout(() => popup.remove(), 1500);
+        this.releasePopup(popup, 1500);
+    }
+    
+    /**
+     * Popup element from the pool - appending it again restarts its CSS animation
+     */
+    acquirePopup(className) {
+        const popup = this.popupPool.pop() || document.createElement('div');
+        popup.className = className;
+        return popup;
+    }
+    
+    /**
+     * Detach after the animation (game time - holds while paused) and keep for reuse
+     */
+    releasePopup(popup, delay) {
+        this.scheduler.after(delay, () => {
+            popup.remove();
+            if (this.popupPool.length < (CONFIG.pooling?.popups ?? 6)) this.popupPool.push(popup);
+        }, 'popup');
+    }
+    
+    /**
+     * Fill a popup with text lines, reusing its line elements
+     * @param {Array<{ text: string, className?: string }>} lines
+     */
+    setPopupLines(popup, lines) {
+        lines.forEach((line, i) => {
+            const el = popup.children[i] || popup.appendChild(document.createElement('div'));
+            el.className = line.className || '';
+            el.textContent = line.text;
+            el.style.display = '';
+        });
+        for (let i = lines.length; i < popup.children.length; i++) {
+            popup.children[i].style.display = 'none';
+        }
     }
     
     showCTA() {
@@ -552,9 +1002,9 @@ export class Game {
         
         const delay = CONFIG.autoRedirectDelay || 0;
         if (delay > 0) {
-            setTimeout(() => {
+            this.scheduler.after(delay, () => {
                 sdk.install();
-            }, delay);
+            }, 'autoRedirect');
         }
     }
     
@@ -568,9 +1018,15 @@ export class Game {
     // ============ CAMERA UPDATE ============
     
     updateCamera(delta) {
-        // Update target lookAt if we have an animal
+        // Frame the current group while its target is alive (a wounded animal on its own)
         if (this.currentAnimal && this.currentAnimal.userData.alive) {
-            this.cameraLookAt.target.copy(this.getAnimalLookAtPosition(this.currentAnimal));
+            const wounded = this.currentHerd.filter(a => a.userData.alive && (a.userData.wounded || a.userData.state === 'charging'));
+            const group = wounded.length > 0 ? wounded : this.currentHerd;
+            const center = this.getHerdLookAtPosition(group);
+            this.cameraLookAt.target.copy(center);
+            if (!this.stateMachine.is(S.AIMING)) {
+                this.state.targetFov = group.length > 1 ? this.getHerdFov(group, center) : CONFIG.baseFov;
+            }
         }
         
         // Smooth lookAt interpolation
@@ -591,29 +1047,42 @@ export class Game {
     
     // ============ GAME LOOP ============
     
+    /**
+     * Render the scene - terrain LOD and vegetation culling follow the camera in use
+     */
+    render(camera) {
+        this.world.updateVisibility(camera);
+        this.renderer.render(this.scene, camera);
+    }
+    
     update() {
-        const delta = Math.min(this.clock.getDelta(), 0.1);
-        
-        // Debug mode - free fly camera
-        if (this.debugEditor?.active) {
+        const delta = this.clock.tick();
+        // Quality downgrades may recompile shaders - only while nothing dramatic is on screen
+        this.quality.update(this.stateMachine.is(S.IDLE, S.BETWEEN_TARGETS));
+        updateWind(this.clock.elapsed, this.ballistics.getWind());
+        this.world.grassField.update(delta, this.animalManager.animals, this.camera.position);
+        
+        // Debug mode - free fly camera (game flow timers frozen)
+        if (this.stateMachine.is(S.DEBUG)) {
             this.debugEditor.update(delta);
             this.animalManager.update(delta, 1);
             this.animalManager.updateLabels();
-            this.renderer.render(this.scene, this.camera);
+            this.render(this.camera);
             return;
         }
         
-        if (this.bulletTime.active) {
+        this.scheduler.update(delta);
+        
+        if (this.stateMachine.is(S.BULLET_CAM)) {
             const finished = this.bulletTime.update(delta);
             if (finished) {
-                const hitAnimal = this.bulletTime.end();
-                this.onBulletHit(hitAnimal);
-                this.state.timeScale = 1;
-                this.setBulletTimeUI(false);
-                this.startCameraShake(0.5);
-                setTimeout(() => { this.state.canShoot = true; }, CONFIG.shootCooldown);
+                const nearMiss = this.bulletTime.hit?.miss;
+                const hit = this.bulletTime.end();
+                // Near miss or target already dead - back to idle
+                this.stateMachine.transition(hit ? S.DEATH : S.IDLE, hit);
+                if (nearMiss) this.showMiss();
             }
-            this.renderer.render(this.scene, this.bulletTime.camera);
+            this.render(this.bulletTime.camera);
         } else {
             // FOV interpolation
             const zoomSmoothing = 1 - Math.pow(1 - CONFIG.zoomSpeed, delta * 60);
@@ -634,15 +1103,19 @@ export class Game {
             // Update animals
             this.animalManager.update(delta, this.state.timeScale);
             this.animalManager.updateLabels();
+            this.checkEscapes();
+            this.updateDanger();
             
-            this.renderer.render(this.scene, this.camera);
+            this.render(this.camera);
         }
     }
     
     start() {
+        this.stateMachine.transition(S.INTRO);
+        
         const loop = () => {
             requestAnimationFrame(loop);
-            this.update();
+            if (!this.paused) this.update();
         };
         loop();
     }
@@ -0,0 +1,65 @@
+/**
+ * Game clock - single source of time for all gameplay systems
+ *
+ * Advances only while running, so pausing freezes everything that reads it.
+ * The real-time source is injectable and the clock can be stepped manually
+ * with advance() for fast-forwarding or deterministic tests.
+ */
+export class GameClock {
+    constructor({ timeSource = () => performance.now(), maxDelta = 0.1 } = {}) {
+        this.timeSource = timeSource; // Returns real time in ms
+        this.maxDelta = maxDelta;     // Clamp for long frames (tab switches, hitches)
+        
+        this.timeScale = 1;  // Global speed (0.5 = slow motion, 2 = fast-forward)
+        this.paused = false;
+        
+        this.elapsed = 0;    // Game time in seconds
+        this.delta = 0;      // Last frame delta in seconds (scaled)
+        this.lastTime = null;
+    }
+    
+    /**
+     * Sample the time source and advance by the real frame delta
+     * @returns {number} Scaled delta in seconds (0 while paused)
+     */
+    tick() {
+        const now = this.timeSource();
+        const realDelta = this.lastTime === null ? 0 : (now - this.lastTime) / 1000;
+        this.lastTime = now;
+        
+        if (this.paused) {
+            this.delta = 0;
+            return 0;
+        }
+        
+        return this.advance(Math.min(realDelta, this.maxDelta));
+    }
+    
+    /**
+     * Advance game time manually
+     * @param {number} seconds - Unscaled time step
+     * @returns {number} Scaled delta in seconds
+     */
+    advance(seconds) {
+        this.delta = seconds * this.timeScale;
+        this.elapsed += this.delta;
+        return this.delta;
+    }
+    
+    pause() {
+        this.paused = true;
+    }
+    
+    resume() {
+        this.paused = false;
+        // Don't count the paused period as a frame
+        this.lastTime = null;
+    }
+    
+    /**
+     * Game time in milliseconds
+     */
+    getElapsedMs() {
+        return this.elapsed * 1000;
+    }
+}
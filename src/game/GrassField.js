@@ -0,0 +1,114 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config';
+
+export const MAX_GRASS_BENDERS = 8;
+export const MAX_GRASS_IMPACTS = 8;
+
+/**
+ * Grass interaction uniforms - each entry is (x, z, radius, strength), strength 0 = unused
+ */
+export const grassFieldUniforms = {
+    uGrassBenders: { value: Array.from({ length: MAX_GRASS_BENDERS }, () => new THREE.Vector4()) },
+    uGrassImpacts: { value: Array.from({ length: MAX_GRASS_IMPACTS }, () => new THREE.Vector4()) }
+};
+
+// Vertex chunk for interactive materials (see addWind's `interactive` option).
+// Runs after the wind sway: windAnchor is the blade base, windWeight its bend curve.
+export const grassFieldVertex = /* glsl */`
+    float bladeY = mvPosition.y - windAnchor.y;
+    vec2 bladeLean = vec2(0.0);
+    float bladeFlatten = 0.0;
+    for (int i = 0; i < ${MAX_GRASS_BENDERS}; i++) {
+        vec4 field = uGrassBenders[i];
+        if (field.w <= 0.0) continue;
+        vec2 away = windAnchor.xz - field.xy;
+        float push = field.w * (1.0 - smoothstep(field.z * 0.4, field.z, length(away)));
+        bladeLean += normalize(away + vec2(1e-4)) * push;
+        bladeFlatten = max(bladeFlatten, push * 0.5);
+    }
+    for (int i = 0; i < ${MAX_GRASS_IMPACTS}; i++) {
+        vec4 field = uGrassImpacts[i];
+        if (field.w <= 0.0) continue;
+        vec2 away = windAnchor.xz - field.xy;
+        float push = field.w * (1.0 - smoothstep(field.z * 0.5, field.z, length(away)));
+        bladeLean += normalize(away + vec2(1e-4)) * push * 0.6;
+        bladeFlatten = max(bladeFlatten, push * 0.9);
+    }
+    mvPosition.xz += bladeLean * bladeY * windWeight;
+    mvPosition.y -= bladeY * bladeFlatten * windWeight;
+`;
+
+/**
+ * Grass interaction field
+ *
+ * Packs the animals walking through the grass and recent bullet impacts into
+ * small uniform arrays; the grass vertex shader bends blades away from
+ * animals and presses them flat around impacts. Impacts spring back over
+ * CONFIG.grassField.impact.lifetime (game time, so they hold in bullet time).
+ */
+export class GrassField {
+    constructor() {
+        this.impacts = [];  // { x, z, age }
+        this.visible = [];  // Scratch list of animals (reused every frame)
+        this.focus = null;
+        this.byDistance = (a, b) => a.position.distanceToSquared(this.focus) - b.position.distanceToSquared(this.focus);
+    }
+    
+    get config() {
+        return CONFIG.grassField || {};
+    }
+    
+    /**
+     * Flatten grass around a bullet impact
+     * @param {THREE.Vector3} point
+     */
+    addImpact(point) {
+        if (this.config.enabled === false) return;
+        
+        // Oldest makes room
+        if (this.impacts.length >= MAX_GRASS_IMPACTS) this.impacts.shift();
+        this.impacts.push({ x: point.x, z: point.z, age: 0 });
+    }
+    
+    /**
+     * Refresh the uniforms
+     * @param {number} delta - Game time step (s)
+     * @param {THREE.Object3D[]} animals - Animals in the scene (alive or dying)
+     * @param {THREE.Vector3} [focus] - Animals nearest to this point win the limited slots (camera)
+     */
+    update(delta, animals, focus = null) {
+        const cfg = this.config;
+        const benders = grassFieldUniforms.uGrassBenders.value;
+        const impacts = grassFieldUniforms.uGrassImpacts.value;
+        
+        benders.forEach(v => v.set(0, 0, 0, 0));
+        impacts.forEach(v => v.set(0, 0, 0, 0));
+        if (cfg.enabled === false) return;
+        
+        // Animals - bend radius follows body size
+        const visible = this.visible;
+        visible.length = 0;
+        animals.forEach(a => { if (a.visible) visible.push(a); });
+        if (focus && visible.length > MAX_GRASS_BENDERS) {
+            this.focus = focus;
+            visible.sort(this.byDistance);
+        }
+        const count = Math.min(visible.length, MAX_GRASS_BENDERS);
+        for (let i = 0; i < count; i++) {
+            const animal = visible[i];
+            const radius = (animal.userData.boundingRadius || 1) * animal.scale.x * (cfg.animalRadius ?? 1.2);
+            benders[i].set(animal.position.x, animal.position.z, radius, cfg.animalStrength ?? 0.8);
+        }
+        
+        // Impacts - full strength, then spring back
+        const impact = cfg.impact || {};
+        const lifetime = (impact.lifetime ?? 4000) / 1000;
+        this.impacts.forEach(i => { i.age += delta; });
+        // Oldest first - drop expired ones from the front in place
+        while (this.impacts.length && this.impacts[0].age >= lifetime) this.impacts.shift();
+        this.impacts.forEach(({ x, z, age }, i) => {
+            const t = age / lifetime;
+            impacts[i].set(x, z, impact.radius ?? 1.5, 1 - t * t);
+        });
+    }
+}
@@ -0,0 +1,146 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config';
+import { AnimalTypes } from './AnimalTypes';
+
+const _start = new THREE.Vector3();
+const _end = new THREE.Vector3();
+const _closest = new THREE.Vector3();
+const _onRay = new THREE.Vector3();
+const _segment = new THREE.Line3();
+
+/**
+ * Hit detection against animal meshes with body-part zones
+ *
+ * Exact hits come from raycasting the animal meshes (skinned meshes follow
+ * their current pose). The zone is picked from per-type hit capsules
+ * (AnimalTypes[type].hitZones) defined in animal local space, which
+ * also serve as an aim-assist fallback when the ray just misses the mesh.
+ */
+export class HitDetector {
+    constructor() {
+        this.assistRadius = CONFIG.aimAssist ?? 0.5;
+    }
+    
+    /**
+     * Find what the ray hits among the given animals
+     * @param {THREE.Raycaster} raycaster - Ray (limited by raycaster.far for segment tests)
+     * @param {THREE.Object3D[]} animals - Alive animals to test
+     * @param {number} [assistRadius] - Aim-assist margin (defaults to CONFIG.aimAssist)
+     * @param {boolean} [updateMatrices] - Pass false when the caller already updated them (per-step ballistics)
+     * @returns {{ animal, zone, point: THREE.Vector3, distance: number } | null}
+     */
+    intersect(raycaster, animals, assistRadius = this.assistRadius, updateMatrices = true) {
+        if (!animals.length) return null;
+        
+        if (updateMatrices) animals.forEach(animal => animal.updateMatrixWorld(true));
+        
+        // 1. Exact mesh hit (closest first)
+        const intersects = raycaster.intersectObjects(animals, true);
+        for (const hit of intersects) {
+            const animal = this.findAnimalRoot(hit.object, animals);
+            if (!animal) continue;
+            
+            return {
+                animal,
+                zone: this.classify(animal, hit.point),
+                point: hit.point.clone(),
+                distance: hit.distance
+            };
+        }
+        
+        // 2. Aim assist - closest zone capsule within its radius + assist margin
+        return this.intersectCapsules(raycaster.ray, animals, assistRadius, raycaster.far);
+    }
+    
+    /**
+     * Ray vs hit capsules of all animals
+     */
+    intersectCapsules(ray, animals, margin = 0, far = Infinity) {
+        let best = null;
+        
+        animals.forEach(animal => {
+            this.getZones(animal).forEach(capsule => {
+                this.getCapsuleWorld(animal, capsule);
+                const distSq = ray.distanceSqToSegment(_start, _end, _onRay, _closest);
+                const radius = capsule.radius + margin;
+                if (distSq > radius * radius) return;
+                
+                const distance = _onRay.distanceTo(ray.origin);
+                if (distance > far) return;
+                if (best && best.distance <= distance) return;
+                
+                best = {
+                    animal,
+                    zone: capsule.zone,
+                    point: _closest.clone(),
+                    distance
+                };
+            });
+        });
+        
+        return best;
+    }
+    
+    /**
+     * Classify a world-space point on the animal into a zone name
+     */
+    classify(animal, worldPoint) {
+        const zones = this.getZones(animal);
+        if (!zones.length) return 'body';
+        
+        const priority = CONFIG.hitZonePriority || [];
+        // Zones missing from the priority list rank last
+        const rank = zone => {
+            const index = priority.indexOf(zone);
+            return index === -1 ? Infinity : index;
+        };
+        let inside = null;
+        let nearest = null;
+        let nearestDist = Infinity;
+        
+        zones.forEach(capsule => {
+            this.getCapsuleWorld(animal, capsule);
+            _segment.set(_start, _end);
+            _segment.closestPointToPoint(worldPoint, true, _closest);
+            const dist = _closest.distanceTo(worldPoint) - capsule.radius;
+            
+            if (dist <= 0) {
+                if (!inside || rank(capsule.zone) < rank(inside)) {
+                    inside = capsule.zone;
+                }
+            }
+            if (dist < nearestDist) {
+                nearestDist = dist;
+                nearest = capsule.zone;
+            }
+        });
+        
+        return inside || nearest;
+    }
+    
+    getZones(animal) {
+        return AnimalTypes[animal.userData.type]?.hitZones || [];
+    }
+    
+    /**
+     * Capsule endpoints in world space (written to _start/_end)
+     */
+    getCapsuleWorld(animal, capsule) {
+        _start.fromArray(capsule.start);
+        _end.fromArray(capsule.end);
+        animal.localToWorld(_start);
+        animal.localToWorld(_end);
+    }
+    
+    /**
+     * Walk up from a hit mesh to the animal group it belongs to
+     */
+    findAnimalRoot(object, animals) {
+        let current = object;
+        while (current) {
+            if (animals.includes(current)) return current;
+            current = current.parent;
+        }
+        return null;
+    }
+}
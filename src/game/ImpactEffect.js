@@ -0,0 +1,110 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config';
+
+const _dir = new THREE.Vector3();
+
+/**
+ * Bullet impact burst - dust for terrain, bark chips and leaves for trees
+ *
+ * Debris chunks fly out of the impact point, fall with gravity and fade;
+ * a soft puff expands over them. Driven by update(delta) from the owner.
+ */
+export class ImpactEffect {
+    constructor(scene) {
+        this.scene = scene;
+        this.group = null;
+        this.debris = [];
+        this.puff = null;
+        this.age = 0;
+        this.duration = 0;
+    }
+    
+    /**
+     * @param {THREE.Vector3} point - Impact position
+     * @param {string} surface - 'terrain' or 'tree'
+     * @param {THREE.Vector3} [from] - Where the bullet came from (debris kicks back toward it)
+     */
+    spawn(point, surface = 'terrain', from = null) {
+        this.dispose();
+        
+        const style = CONFIG.nearMiss?.impact?.[surface] || { colors: [0x8b6b4a], count: 14, puffColor: 0xb8a58a };
+        this.duration = (CONFIG.nearMiss?.impact?.duration || 1200) / 1000;
+        this.age = 0;
+        
+        this.group = new THREE.Group();
+        this.group.position.copy(point);
+        this.scene.add(this.group);
+        
+        // Kick debris back along the bullet path and upward
+        if (from) _dir.subVectors(from, point).setY(0).normalize();
+        else _dir.set(0, 0, 0);
+        
+        const geo = new THREE.BoxGeometry(0.08, 0.08, 0.08);
+        for (let i = 0; i < style.count; i++) {
+            const material = new THREE.MeshLambertMaterial({
+                color: style.colors[i % style.colors.length],
+                transparent: true
+            });
+            const chunk = new THREE.Mesh(geo, material);
+            chunk.scale.setScalar(0.6 + Math.random() * 1.2);
+            this.group.add(chunk);
+            
+            this.debris.push({
+                mesh: chunk,
+                velocity: new THREE.Vector3(
+                    _dir.x * 2 + (Math.random() - 0.5) * 3,
+                    2 + Math.random() * 3,
+                    _dir.z * 2 + (Math.random() - 0.5) * 3
+                ),
+                spin: (Math.random() - 0.5) * 10
+            });
+        }
+        
+        // Dust puff
+        const puffMat = new THREE.MeshLambertMaterial({
+            color: style.puffColor,
+            transparent: true,
+            opacity: 0.6,
+            depthWrite: false
+        });
+        this.puff = new THREE.Mesh(new THREE.SphereGeometry(0.3, 10, 8), puffMat);
+        this.group.add(this.puff);
+    }
+    
+    /**
+     * @returns {boolean} true once the effect has finished
+     */
+    update(delta) {
+        if (!this.group) return true;
+        
+        this.age += delta;
+        const t = Math.min(this.age / this.duration, 1);
+        
+        this.debris.forEach(d => {
+            d.velocity.y -= 9.81 * delta;
+            d.mesh.position.addScaledVector(d.velocity, delta);
+            d.mesh.rotation.x += d.spin * delta;
+            d.mesh.rotation.z += d.spin * delta;
+            d.mesh.material.opacity = 1 - t * t;
+        });
+        
+        this.puff.scale.setScalar(1 + t * 5);
+        this.puff.material.opacity = 0.6 * (1 - t);
+        
+        return t >= 1;
+    }
+    
+    dispose() {
+        if (!this.group) return;
+        
+        this.scene.remove(this.group);
+        this.debris.forEach(d => d.mesh.material.dispose());
+        this.debris[0]?.mesh.geometry.dispose();
+        this.puff.geometry.dispose();
+        this.puff.material.dispose();
+        
+        this.group = null;
+        this.debris = [];
+        this.puff = null;
+    }
+}
@@ -0,0 +1,212 @@
+import { CONFIG } from '../config';
+
+/**
+ * Lightweight animal navigation - obstacles, slopes and authored trails
+ *
+ * Obstacles are ground circles (tree trunks, rocks) bucketed in a uniform
+ * grid. Steering probes ahead along the wanted heading and fans out left and
+ * right until it finds a direction that is clear and not too steep.
+ */
+export class Navigation {
+    constructor(world) {
+        this.world = world;
+        this.cellSize = this.config.cellSize || 10;
+        this.grid = new Map();   // "cx,cz" -> obstacles overlapping that cell
+        this.obstacles = [];
+        
+        this.build();
+    }
+    
+    get config() {
+        return CONFIG.navigation || {};
+    }
+    
+    /**
+     * Collect obstacles from the world's tree and rock placements
+     */
+    build() {
+        const treeRadius = this.config.treeRadius ?? 4;
+        
+        this.world.treeInstances.forEach(tree => {
+            this.addObstacle(tree.x, tree.z, treeRadius * tree.scale);
+        });
+        (this.world.rockInstances || []).forEach(rock => {
+            this.addObstacle(rock.x, rock.z, rock.radius);
+        });
+    }
+    
+    addObstacle(x, z, radius) {
+        const obstacle = { x, z, radius };
+        this.obstacles.push(obstacle);
+        
+        this.forEachCell(x, z, radius, key => {
+            if (!this.grid.has(key)) this.grid.set(key, []);
+            this.grid.get(key).push(obstacle);
+        });
+    }
+    
+    forEachCell(x, z, radius, callback) {
+        const minX = Math.floor((x - radius) / this.cellSize);
+        const maxX = Math.floor((x + radius) / this.cellSize);
+        const minZ = Math.floor((z - radius) / this.cellSize);
+        const maxZ = Math.floor((z + radius) / this.cellSize);
+        
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cz = minZ; cz <= maxZ; cz++) {
+                callback(`${cx},${cz}`);
+            }
+        }
+    }
+    
+    /**
+     * Obstacles that may overlap a circle
+     */
+    query(x, z, radius) {
+        const found = new Set();
+        this.forEachCell(x, z, radius, key => {
+            this.grid.get(key)?.forEach(obstacle => found.add(obstacle));
+        });
+        return found;
+    }
+    
+    /**
+     * Turn `direction` (normalized, XZ) toward the closest walkable heading
+     * @param {THREE.Vector3} position - Animal position
+     * @param {THREE.Vector3} direction - Wanted heading, overwritten with the result
+     * @param {number} clearance - Animal body radius
+     * @returns {boolean} false if every probed heading is blocked
+     */
+    steer(position, direction, clearance) {
+        const cfg = this.config;
+        const lookAhead = cfg.lookAhead ?? 4;
+        const fan = cfg.fan || [0, 0.35, -0.35, 0.7, -0.7, 1.2, -1.2, 1.8, -1.8];
+        const baseAngle = Math.atan2(direction.x, direction.z);
+        
+        for (const offset of fan) {
+            const angle = baseAngle + offset;
+            const dx = Math.sin(angle);
+            const dz = Math.cos(angle);
+            
+            if (this.isWalkable(position, dx, dz, lookAhead, clearance)) {
+                direction.set(dx, 0, dz);
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    /**
+     * Can the animal walk `distance` along (dx, dz)? Checks slope and obstacles
+     */
+    isWalkable(position, dx, dz, distance, clearance) {
+        const maxSlope = this.config.maxSlope ?? 0.45;
+        const h0 = this.world.getTerrainHeight(position.x, position.z);
+        const h1 = this.world.getTerrainHeight(position.x + dx * distance, position.z + dz * distance);
+        if (Math.abs(h1 - h0) / distance > maxSlope) return false;
+        
+        return !this.isBlocked(position.x, position.z, dx, dz, distance, clearance);
+    }
+    
+    /**
+     * Does the probe segment pass through any obstacle (inflated by clearance)?
+     */
+    isBlocked(x, z, dx, dz, distance, clearance) {
+        const half = distance / 2;
+        const nearby = this.query(x + dx * half, z + dz * half, half + clearance);
+        
+        for (const obstacle of nearby) {
+            const ox = obstacle.x - x;
+            const oz = obstacle.z - z;
+            const along = ox * dx + oz * dz;
+            if (along <= 0) continue; // Behind - walking away from it is fine
+            
+            const t = Math.min(along, distance);
+            const cx = ox - dx * t;
+            const cz = oz - dz * t;
+            const reach = obstacle.radius + clearance;
+            if (cx * cx + cz * cz < reach * reach) return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Push a position out of any obstacle it ended up inside
+     */
+    resolve(position, clearance) {
+        this.query(position.x, position.z, clearance).forEach(obstacle => {
+            const dx = position.x - obstacle.x;
+            const dz = position.z - obstacle.z;
+            const dist = Math.hypot(dx, dz);
+            const reach = obstacle.radius + clearance;
+            if (dist >= reach || dist === 0) return;
+            
+            position.x = obstacle.x + (dx / dist) * reach;
+            position.z = obstacle.z + (dz / dist) * reach;
+        });
+    }
+    
+    // ============ TRAILS & ROUTES ============
+    
+    /**
+     * Create a follower for an authored trail (CONFIG.navigation.trails) or spawn-point route
+     * @param {string|Array} trail - Trail name, or list of [x, z] / { x, z, ...waypoint options } points
+     * @param {Object} [options]
+     * @param {THREE.Vector3} [options.nearest] - Start from the waypoint nearest to this position (else the first)
+     * @param {string} [options.end] - What happens after the last point: 'loop' | 'stop' | 'wander'
+     * @returns {{ points: Array<{x, z}>, index: number, end: string, wait: number, waited: boolean, facing: THREE.Vector3|null } | null}
+     */
+    createFollower(trail, { nearest = null, end = 'loop' } = {}) {
+        const source = typeof trail === 'string' ? this.config.trails?.[trail] : trail;
+        if (!source?.length) {
+            console.warn(`Unknown trail "${trail}"`);
+            return null;
+        }
+        
+        const points = source.map(p => Array.isArray(p) ? { x: p[0], z: p[1] } : { ...p });
+        let index = 0;
+        if (nearest) {
+            let best = Infinity;
+            points.forEach((p, i) => {
+                const d = Math.hypot(p.x - nearest.x, p.z - nearest.z);
+                if (d < best) {
+                    best = d;
+                    index = i;
+                }
+            });
+        }
+        
+        return {
+            points,
+            index,
+            end,
+            wait: 0,          // Seconds left in the current waypoint pause
+            waited: false,    // Pause at the current waypoint already done
+            facing: null      // Heading to hold while paused
+        };
+    }
+    
+    /**
+     * Has the follower reached its current waypoint?
+     */
+    hasArrived(position, follower) {
+        const point = follower.points[follower.index];
+        return Math.hypot(point.x - position.x, point.z - position.z) < (this.config.arriveRadius ?? 2);
+    }
+    
+    /**
+     * Move on to the next waypoint
+     * @returns {boolean} false when the route is over (end 'stop' or 'wander')
+     */
+    advance(follower) {
+        follower.waited = false;
+        if (follower.index + 1 < follower.points.length) {
+            follower.index++;
+            return true;
+        }
+        if (follower.end === 'loop') {
+            follower.index = 0;
+            return true;
+        }
+        return false;
+    }
+}
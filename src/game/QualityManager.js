@@ -0,0 +1,251 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config';
+
+const TIERS = ['low', 'medium', 'high'];
+
+/**
+ * Adaptive rendering quality
+ *
+ * Picks a low / medium / high preset at startup from the GPU renderer string
+ * and device memory / CPU hints, then watches real frame times and steps
+ * quality down while the game misses its FPS target: pixel ratio first, then
+ * shadows, then vegetation density. It never steps back up - flickering
+ * between levels is worse than a slightly softer image.
+ */
+export class QualityManager {
+    constructor() {
+        this.tier = this.detect();
+        this.settings = { ...this.config.presets[this.tier], vegetationScale: 1 };
+        
+        this.renderer = null;
+        this.sun = null;
+        this.world = null;
+        this.scene = null;
+        
+        // Frame time sampling (real time, independent of the game clock)
+        this.lastTime = null;
+        this.frames = 0;
+        this.frameTime = 0;
+        this.longFrames = 0;  // Consecutive frames over maxFrameTime
+        this.warmup = this.monitor.warmup ?? 3;
+        this.cooldown = 0;
+        this.pending = false; // A downgrade is due but waits for a calm moment
+    }
+    
+    get config() {
+        return CONFIG.quality;
+    }
+    
+    get monitor() {
+        return this.config.monitor || {};
+    }
+    
+    // ============ DETECTION ============
+    
+    /**
+     * Choose a tier from device capability (CONFIG.quality.tier overrides 'auto')
+     */
+    detect() {
+        const forced = this.config.tier;
+        if (TIERS.includes(forced)) return forced;
+        
+        const hints = this.config.detection;
+        const gpu = QualityManager.getRendererName();
+        const memory = navigator.deviceMemory ?? Infinity;       // GB, Chromium only
+        const cores = navigator.hardwareConcurrency ?? Infinity;
+        const mobile = /Android|iPhone|iPad|iPod|Mobile/i.test(navigator.userAgent);
+        
+        if (!gpu || hints.lowGpu.some(re => re.test(gpu))) return 'low';
+        if (memory <= hints.lowMemory || cores <= hints.lowCores) return 'low';
+        if (hints.highGpu.some(re => re.test(gpu))) return mobile ? 'medium' : 'high';
+        if (mobile || memory <= hints.mediumMemory) return 'medium';
+        return 'high';
+    }
+    
+    /**
+     * Unmasked GPU renderer string from a throwaway context
+     * (the real renderer needs its antialias flag before it exists)
+     * @returns {string} '' if WebGL is unavailable
+     */
+    static getRendererName() {
+        const gl = document.createElement('canvas').getContext('webgl');
+        if (!gl) return '';
+        
+        const info = gl.getExtension('WEBGL_debug_renderer_info');
+        const name = info ? gl.getParameter(info.UNMASKED_RENDERER_WEBGL) : gl.getParameter(gl.RENDERER);
+        gl.getExtension('WEBGL_lose_context')?.loseContext();
+        return name || '';
+    }
+    
+    // ============ APPLY ============
+    
+    /**
+     * Renderer options that can't change after creation
+     */
+    getRendererOptions() {
+        return { antialias: this.settings.antialias };
+    }
+    
+    /**
+     * Apply the current settings to the renderer (pixel ratio and shadow map type)
+     */
+    applyRenderer(renderer) {
+        this.renderer = renderer;
+        renderer.setPixelRatio(this.getPixelRatio());
+        renderer.shadowMap.enabled = this.settings.shadows !== 'off';
+        renderer.shadowMap.type = this.settings.shadows === 'soft' ? THREE.PCFSoftShadowMap : THREE.PCFShadowMap;
+    }
+    
+    /**
+     * Apply shadow resolution to the sun
+     */
+    applyLight(sun) {
+        this.sun = sun;
+        sun.castShadow = this.settings.shadows !== 'off';
+        sun.shadow.mapSize.set(this.settings.shadowMapSize, this.settings.shadowMapSize);
+    }
+    
+    /**
+     * Start watching frame times - the world and scene are needed for runtime downgrades
+     */
+    attach(world, scene) {
+        this.world = world;
+        this.scene = scene;
+    }
+    
+    getPixelRatio() {
+        return Math.min(window.devicePixelRatio, this.settings.pixelRatio);
+    }
+    
+    /**
+     * Vegetation multiplier for World builders (fraction of the CONFIG counts)
+     */
+    getVegetationDensity() {
+        return this.config.presets[this.tier].vegetation;
+    }
+    
+    // ============ RUNTIME MONITOR ============
+    
+    /**
+     * Sample one frame - call once per rendered frame
+     * @param {boolean} [canApply] - Downgrades (shader recompiles for shadow changes) may run now;
+     *   pass false during the bullet cam and other moments where a hitch would show
+     */
+    update(canApply = true) {
+        if (this.pending) {
+            if (!canApply) return;
+            this.pending = false;
+            this.lastTime = null; // The recompile hitch isn't a sample
+            if (this.downgrade()) {
+                // Let the new settings settle before judging them
+                this.cooldown = this.monitor.cooldown ?? 2;
+            }
+            return;
+        }
+        
+        const now = performance.now();
+        const frameTime = this.lastTime === null ? 0 : (now - this.lastTime) / 1000;
+        this.lastTime = now;
+        
+        if (frameTime <= 0) return;
+        
+        // Skip isolated hitches (tab switch, pause, asset upload) - they say nothing about steady FPS.
+        // A run of long frames is the device itself and counts.
+        if (frameTime > (this.monitor.maxFrameTime ?? 0.25)) {
+            this.longFrames++;
+            if (this.longFrames < (this.monitor.hitchFrames ?? 3)) return;
+        } else {
+            this.longFrames = 0;
+        }
+        
+        if (this.warmup > 0) {
+            this.warmup -= frameTime;
+            return;
+        }
+        if (this.cooldown > 0) {
+            this.cooldown -= frameTime;
+            return;
+        }
+        
+        this.frames++;
+        this.frameTime += frameTime;
+        if (this.frameTime < (this.monitor.sampleTime ?? 2)) return;
+        
+        const fps = this.frames / this.frameTime;
+        this.frames = 0;
+        this.frameTime = 0;
+        
+        if (fps < (this.monitor.targetFps ?? 30)) this.pending = true;
+    }
+    
+    /**
+     * Step quality down once: pixel ratio, then shadows, then vegetation
+     * @returns {boolean} false when already at the floor
+     */
+    downgrade() {
+        const steps = this.config.downgrade;
+        const s = this.settings;
+        
+        // Pixel ratio - only counts if it actually changes the drawing buffer
+        const pixelRatio = Math.max(steps.minPixelRatio, s.pixelRatio - steps.pixelRatioStep);
+        if (Math.min(window.devicePixelRatio, pixelRatio) < this.getPixelRatio()) {
+            s.pixelRatio = pixelRatio;
+            this.renderer.setPixelRatio(this.getPixelRatio());
+            return this.log(`pixel ratio ${this.getPixelRatio()}`);
+        }
+        
+        // Shadows - soft → hard → smaller map → off
+        if (s.shadows === 'soft') {
+            s.shadows = 'hard';
+            this.renderer.shadowMap.type = THREE.PCFShadowMap;
+            this.refreshMaterials();
+            return this.log('hard shadows');
+        }
+        if (s.shadows === 'hard' && s.shadowMapSize > steps.minShadowMapSize) {
+            s.shadowMapSize = Math.max(steps.minShadowMapSize, s.shadowMapSize / 2);
+            this.resizeShadowMap();
+            return this.log(`shadow map ${s.shadowMapSize}`);
+        }
+        if (s.shadows !== 'off') {
+            s.shadows = 'off';
+            this.renderer.shadowMap.enabled = false;
+            if (this.sun) this.sun.castShadow = false;
+            this.refreshMaterials();
+            return this.log('shadows off');
+        }
+        
+        // Vegetation - thin out what was built
+        if (this.world && s.vegetationScale > steps.minVegetation) {
+            s.vegetationScale = Math.max(steps.minVegetation, s.vegetationScale - steps.vegetationStep);
+            this.world.setVegetationDensity(s.vegetationScale);
+            return this.log(`vegetation ${Math.round(s.vegetationScale * 100)}%`);
+        }
+        
+        return false;
+    }
+    
+    resizeShadowMap() {
+        if (!this.sun) return;
+        
+        const size = this.settings.shadowMapSize;
+        this.sun.shadow.mapSize.set(size, size);
+        this.sun.shadow.map?.dispose();
+        this.sun.shadow.map = null;
+    }
+    
+    /**
+     * Shadow type / toggle is baked into shader programs - force a recompile
+     */
+    refreshMaterials() {
+        this.scene?.traverse(object => {
+            if (!object.material) return;
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach(material => { material.needsUpdate = true; });
+        });
+    }
+    
+    log(message) {
+        console.log(`Quality (${this.tier}): ${message}`);
+        return true;
+    }
+}
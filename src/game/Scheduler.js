@@ -0,0 +1,114 @@
+/**
+ * Handle for a scheduled callback
+ */
+class ScheduledTask {
+    constructor(scheduler, id, dueAt, callback, label) {
+        this.scheduler = scheduler;
+        this.id = id;
+        this.dueAt = dueAt;       // Scheduler time in ms
+        this.callback = callback;
+        this.label = label;
+        this.active = true;       // false once fired or cancelled
+    }
+    
+    /**
+     * Time left until the callback fires (ms)
+     */
+    get remaining() {
+        return this.active ? Math.max(0, this.dueAt - this.scheduler.time) : 0;
+    }
+    
+    cancel() {
+        this.scheduler.cancel(this);
+    }
+}
+
+/**
+ * Timer scheduler tied to the game loop
+ *
+ * Replaces setTimeout for gameplay sequencing: time only moves when the game
+ * loop advances it (so pausing the clock freezes all timers), every timer has
+ * a cancellable handle, and tests can step time with advance().
+ */
+export class Scheduler {
+    constructor() {
+        this.time = 0;      // Accumulated scheduler time in ms
+        this.tasks = [];
+        this.nextId = 1;
+    }
+    
+    /**
+     * Run callback after a delay of game time
+     * @param {number} ms - Delay in milliseconds
+     * @param {Function} callback
+     * @param {string} [label] - Name shown by getPending() (debugging)
+     * @returns {ScheduledTask} Cancellable handle
+     */
+    after(ms, callback, label = '') {
+        const task = new ScheduledTask(this, this.nextId++, this.time + Math.max(0, ms), callback, label);
+        this.tasks.push(task);
+        return task;
+    }
+    
+    cancel(task) {
+        if (!task || !task.active) return;
+        task.active = false;
+        this.tasks = this.tasks.filter(t => t !== task);
+    }
+    
+    /**
+     * Cancel all pending tasks (optionally only those with a given label)
+     */
+    clear(label = null) {
+        this.tasks.forEach(task => {
+            if (label === null || task.label === label) task.active = false;
+        });
+        this.tasks = this.tasks.filter(task => task.active);
+    }
+    
+    /**
+     * Advance by the game loop delta
+     * @param {number} delta - Seconds (already paused/scaled by the game clock)
+     */
+    update(delta) {
+        this.advance(delta * 1000);
+    }
+    
+    /**
+     * Advance time and fire due callbacks in order
+     * Tasks scheduled by callbacks fire in the same step if they fall inside it
+     * @param {number} ms
+     */
+    advance(ms) {
+        const target = this.time + ms;
+        
+        let task = this.nextDue(target);
+        while (task) {
+            this.time = Math.max(this.time, task.dueAt);
+            task.active = false;
+            this.tasks = this.tasks.filter(t => t !== task);
+            task.callback();
+            task = this.nextDue(target);
+        }
+        
+        this.time = target;
+    }
+    
+    nextDue(target) {
+        let next = null;
+        this.tasks.forEach(task => {
+            if (task.dueAt > target) return;
+            if (!next || task.dueAt < next.dueAt || (task.dueAt === next.dueAt && task.id < next.id)) {
+                next = task;
+            }
+        });
+        return next;
+    }
+    
+    /**
+     * Snapshot of pending tasks (for debugging / tests)
+     */
+    getPending() {
+        return this.tasks.map(task => ({ id: task.id, label: task.label, remaining: task.remaining }));
+    }
+}
@@ -0,0 +1,97 @@
+import { CONFIG } from '../config';
+
+/**
+ * Shot quality scoring with combo multiplier
+ *
+ * Score = (animal points × zone multiplier + skill bonuses) × combo
+ * Skill bonuses: long distance, moving target, quick shot after spawn.
+ * Combo grows with consecutive hits and resets on a miss.
+ */
+export class Scoring {
+    constructor() {
+        this.streak = 0; // Consecutive hits without a miss
+    }
+    
+    /**
+     * Score a hit and advance the combo
+     * @param {Object} shot
+     * @param {number} shot.points - Base points of the animal type
+     * @param {string} shot.zone - Hit zone (head, vitals, body, leg)
+     * @param {number} shot.distance - Distance from the tower (m)
+     * @param {number} shot.speed - Target movement speed at shot time (m/s)
+     * @param {number} shot.timeToShot - Time since the target spawned (ms)
+     * @returns {Object} Breakdown: { zone, label, base, bonuses: [{ label, points }], multiplier, total }
+     */
+    registerHit({ points, zone, distance = 0, speed = 0, timeToShot = Infinity }) {
+        const cfg = CONFIG.scoring || {};
+        const zoneConfig = CONFIG.hitZones?.[zone];
+        
+        this.streak++;
+        
+        const base = Math.round(points * (zoneConfig?.pointsMultiplier ?? 1));
+        const bonuses = [];
+        
+        // Long shot - points per meter past the threshold
+        if (cfg.distance && distance > cfg.distance.start) {
+            const bonus = Math.min(cfg.distance.max, Math.round((distance - cfg.distance.start) * cfg.distance.perMeter));
+            if (bonus > 0) bonuses.push({ label: 'LONG SHOT', points: bonus });
+        }
+        
+        // Moving target - points per m/s above walking threshold
+        if (cfg.moving && speed > cfg.moving.minSpeed) {
+            const bonus = Math.min(cfg.moving.max, Math.round((speed - cfg.moving.minSpeed) * cfg.moving.perSpeed));
+            if (bonus > 0) bonuses.push({ label: 'MOVING TARGET', points: bonus });
+        }
+        
+        // Quick shot after the target appeared
+        if (cfg.quickShot && timeToShot <= cfg.quickShot.window) {
+            bonuses.push({ label: 'QUICK SHOT', points: cfg.quickShot.bonus });
+        }
+        
+        const multiplier = this.getMultiplier();
+        const subtotal = base + bonuses.reduce((sum, b) => sum + b.points, 0);
+        
+        return {
+            zone,
+            label: zoneConfig?.label || 'HIT',
+            base,
+            bonuses,
+            multiplier,
+            total: Math.round(subtotal * multiplier)
+        };
+    }
+    
+    /**
+     * Shooting a protected animal - fixed penalty and the combo is lost
+     * @returns {Object} Breakdown in the same shape as registerHit() (negative total)
+     */
+    registerPenalty() {
+        const penalty = CONFIG.protectedPenalty || { points: 100, label: 'PROTECTED' };
+        this.streak = 0;
+        
+        return {
+            zone: null,
+            label: penalty.label,
+            base: -penalty.points,
+            bonuses: [],
+            multiplier: 1,
+            total: -penalty.points,
+            penalty: true
+        };
+    }
+    
+    /**
+     * A miss breaks the combo
+     */
+    registerMiss() {
+        this.streak = 0;
+    }
+    
+    /**
+     * Combo multiplier for the current streak (x1 on the first hit)
+     */
+    getMultiplier() {
+        const combo = CONFIG.scoring?.combo || { step: 1, max: 1 };
+        return Math.min(combo.max, 1 + Math.max(0, this.streak - 1) * combo.step);
+    }
+}
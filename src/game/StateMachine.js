@@ -0,0 +1,56 @@
+/**
+ * Finite state machine with guarded transitions and enter/exit hooks
+ *
+ * transitions: { fromState: [toState, ...] } - anything not listed is rejected
+ * states: { name: { enter(from, data), exit(to), canEnter(from, data) } }
+ */
+export class StateMachine {
+    constructor({ initial, transitions, states = {}, onChange = null }) {
+        this.transitions = transitions;
+        this.states = states;
+        this.onChange = onChange;
+        
+        this.current = initial;
+        this.previous = null;
+    }
+    
+    /**
+     * Check if current state is one of the given states
+     */
+    is(...names) {
+        return names.includes(this.current);
+    }
+    
+    /**
+     * Check if a transition is allowed right now (table + guard)
+     */
+    can(to, data) {
+        const allowed = this.transitions[this.current] || [];
+        if (!allowed.includes(to)) return false;
+        
+        const guard = this.states[to]?.canEnter;
+        return guard ? guard(this.current, data) !== false : true;
+    }
+    
+    /**
+     * Move to another state
+     * Hooks may trigger further transitions (e.g. enter() chaining to the next state)
+     * @returns {boolean} false if the transition was rejected
+     */
+    transition(to, data) {
+        if (!this.can(to, data)) {
+            console.warn(`[State] Rejected transition ${this.current} → ${to}`);
+            return false;
+        }
+        
+        const from = this.current;
+        this.states[from]?.exit?.(to);
+        
+        this.previous = from;
+        this.current = to;
+        this.onChange?.(from, to);
+        
+        this.states[to]?.enter?.(from, data);
+        return true;
+    }
+}
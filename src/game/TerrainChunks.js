@@ -0,0 +1,237 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config';
+
+const DEFAULT_LODS = [
+    { segments: 32, distance: 60 },
+    { segments: 16, distance: 130 },
+    { segments: 8, distance: Infinity }
+];
+
+/**
+ * Chunked terrain - ground tiles with distance LOD and per-chunk vegetation
+ *
+ * CONFIG.groundSize is split into a grid of CONFIG.terrainChunks.size tiles.
+ * Each tile owns one ground mesh per LOD level (skirted so coarser neighbours
+ * don't open cracks) and its own InstancedMeshes per vegetation kind, so
+ * three's frustum culling skips whole tiles and update(camera) hides
+ * vegetation past its cull distance. Distances are zoom-compensated: through
+ * the scope a far tile looks as close as it appears on screen.
+ */
+export class TerrainChunks {
+    /**
+     * @param {World} world - Provides getTerrainHeight() and the scene
+     * @param {THREE.Material} material - Ground material (shared by every tile)
+     */
+    constructor(world, material) {
+        this.world = world;
+        this.material = material;
+        this.count = Math.max(1, Math.round(CONFIG.groundSize / (this.config.size || 50)));
+        this.chunkSize = CONFIG.groundSize / this.count;
+        this.chunks = [];
+        
+        this.build();
+    }
+    
+    get config() {
+        return CONFIG.terrainChunks || {};
+    }
+    
+    get lods() {
+        return this.config.lods || DEFAULT_LODS;
+    }
+    
+    build() {
+        const half = CONFIG.groundSize / 2;
+        
+        for (let ix = 0; ix < this.count; ix++) {
+            for (let iz = 0; iz < this.count; iz++) {
+                const x0 = -half + ix * this.chunkSize;
+                const z0 = -half + iz * this.chunkSize;
+                const center = new THREE.Vector3(x0 + this.chunkSize / 2, 0, z0 + this.chunkSize / 2);
+                
+                const group = new THREE.Group();
+                group.position.copy(center);
+                
+                let minY = Infinity;
+                let maxY = -Infinity;
+                const levels = this.lods.map(({ segments, distance }) => {
+                    const geometry = this.createGeometry(center, segments);
+                    geometry.computeBoundingBox();
+                    minY = Math.min(minY, geometry.boundingBox.min.y);
+                    maxY = Math.max(maxY, geometry.boundingBox.max.y);
+                    
+                    const mesh = new THREE.Mesh(geometry, this.material);
+                    mesh.receiveShadow = true;
+                    mesh.visible = false;
+                    group.add(mesh);
+                    return { mesh, distance };
+                });
+                levels[levels.length - 1].mesh.visible = true;
+                this.world.scene.add(group);
+                
+                this.chunks.push({
+                    ix,
+                    iz,
+                    center,
+                    // Ground plus headroom for trees - used for camera distance
+                    box: new THREE.Box3(
+                        new THREE.Vector3(x0, minY, z0),
+                        new THREE.Vector3(x0 + this.chunkSize, maxY + 10, z0 + this.chunkSize)
+                    ),
+                    levels,
+                    level: levels.length - 1,
+                    vegetation: []   // { mesh, kind }
+                });
+            }
+        }
+    }
+    
+    /**
+     * Heightfield tile around `center` with a skirt hanging off its edges
+     * Normals come from the height function, so neighbouring tiles shade seamlessly.
+     */
+    createGeometry(center, segments) {
+        const size = this.chunkSize;
+        const half = size / 2;
+        const step = size / segments;
+        const skirt = this.config.skirt ?? 1.5;
+        const groundSize = CONFIG.groundSize;
+        const row = segments + 1;
+        
+        const positions = [];
+        const normals = [];
+        const uvs = [];
+        const indices = [];
+        const normal = new THREE.Vector3();
+        
+        const addVertex = (lx, lz, drop = 0) => {
+            const x = center.x + lx;
+            const z = center.z + lz;
+            this.getNormal(x, z, normal);
+            positions.push(lx, this.world.getTerrainHeight(x, z) - drop, lz);
+            normals.push(normal.x, normal.y, normal.z);
+            // Same mapping as the old single ground plane (texture repeat spans groundSize)
+            uvs.push(x / groundSize + 0.5, -z / groundSize + 0.5);
+            return positions.length / 3 - 1;
+        };
+        
+        for (let j = 0; j <= segments; j++) {
+            for (let i = 0; i <= segments; i++) {
+                addVertex(-half + i * step, -half + j * step);
+            }
+        }
+        for (let j = 0; j < segments; j++) {
+            for (let i = 0; i < segments; i++) {
+                const a = j * row + i;
+                const b = a + 1;
+                const c = a + row;
+                const d = c + 1;
+                indices.push(a, c, b, b, c, d);
+            }
+        }
+        
+        // Skirt - each edge vertex gets a twin pushed down, joined into a vertical strip
+        const edges = [
+            i => i,                            // North (z = -half)
+            i => segments * row + i,           // South
+            i => i * row,                      // West
+            i => i * row + segments            // East
+        ];
+        edges.forEach(edge => {
+            let prevTop = null;
+            let prevBottom = null;
+            for (let i = 0; i <= segments; i++) {
+                const top = edge(i);
+                const bottom = addVertex(positions[top * 3], positions[top * 3 + 2], skirt);
+                if (prevTop !== null) indices.push(prevTop, prevBottom, top, top, prevBottom, bottom);
+                prevTop = top;
+                prevBottom = bottom;
+            }
+        });
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+        geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+        geometry.setIndex(indices);
+        return geometry;
+    }
+    
+    getNormal(x, z, target, e = 0.5) {
+        const hx = this.world.getTerrainHeight(x - e, z) - this.world.getTerrainHeight(x + e, z);
+        const hz = this.world.getTerrainHeight(x, z - e) - this.world.getTerrainHeight(x, z + e);
+        return target.set(hx, 2 * e, hz).normalize();
+    }
+    
+    /**
+     * Tile containing a world position (clamped to the ground edge)
+     */
+    chunkAt(x, z) {
+        const half = CONFIG.groundSize / 2;
+        const ix = THREE.MathUtils.clamp(Math.floor((x + half) / this.chunkSize), 0, this.count - 1);
+        const iz = THREE.MathUtils.clamp(Math.floor((z + half) / this.chunkSize), 0, this.count - 1);
+        return this.chunks[ix * this.count + iz];
+    }
+    
+    /**
+     * Split instances across tiles - one InstancedMesh per tile that has any
+     * @param {string} kind - Vegetation kind for distance culling (CONFIG.terrainChunks.cullDistance)
+     * @param {THREE.BufferGeometry} geometry
+     * @param {THREE.Material} material
+     * @param {Array<{ matrix: THREE.Matrix4, color?: THREE.Color }>} instances
+     * @param {Function} [setup] - Called with each new mesh (shadows, render order)
+     * @returns {Array<{ mesh: THREE.InstancedMesh, count: number }>}
+     */
+    createInstances(kind, geometry, material, instances, setup = null) {
+        const buckets = new Map();
+        instances.forEach(instance => {
+            const chunk = this.chunkAt(instance.matrix.elements[12], instance.matrix.elements[14]);
+            if (!buckets.has(chunk)) buckets.set(chunk, []);
+            buckets.get(chunk).push(instance);
+        });
+        
+        const created = [];
+        buckets.forEach((list, chunk) => {
+            const mesh = new THREE.InstancedMesh(geometry, material, list.length);
+            list.forEach(({ matrix, color }, i) => {
+                mesh.setMatrixAt(i, matrix);
+                if (color) mesh.setColorAt(i, color);
+            });
+            mesh.instanceMatrix.needsUpdate = true;
+            if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+            mesh.computeBoundingSphere();
+            setup?.(mesh);
+            
+            this.world.scene.add(mesh);
+            chunk.vegetation.push({ mesh, kind });
+            created.push({ mesh, count: list.length });
+        });
+        return created;
+    }
+    
+    /**
+     * Pick ground LOD and hide far vegetation for the camera about to render
+     * @param {THREE.PerspectiveCamera} camera
+     */
+    update(camera) {
+        const cull = this.config.cullDistance || {};
+        const zoom = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) /
+            Math.tan(THREE.MathUtils.degToRad(CONFIG.baseFov) / 2) / camera.zoom;
+        
+        this.chunks.forEach(chunk => {
+            const distance = chunk.box.distanceToPoint(camera.position) * zoom;
+            
+            let level = chunk.levels.findIndex(l => distance < l.distance);
+            if (level === -1) level = chunk.levels.length - 1;
+            if (level !== chunk.level) {
+                chunk.levels[chunk.level].mesh.visible = false;
+                chunk.levels[level].mesh.visible = true;
+                chunk.level = level;
+            }
+            
+            chunk.vegetation.forEach(({ mesh, kind }) => {
+                mesh.visible = distance < (cull[kind] ?? Infinity);
+            });
+        });
+    }
+}
@@ -0,0 +1,112 @@
+import * as THREE from 'three';
+import { CONFIG } from '../config';
+import { grassFieldUniforms, grassFieldVertex, MAX_GRASS_BENDERS, MAX_GRASS_IMPACTS } from './GrassField';
+
+/**
+ * Global wind uniforms - shared by every swaying material
+ */
+export const windUniforms = {
+    uWindTime: { value: 0 },
+    uWindDirection: { value: new THREE.Vector2(1, 0) },  // Normalized XZ
+    uWindStrength: { value: 0 }                          // 0-1 (CONFIG.environmentWind.maxSpeed = 1)
+};
+
+// Runs after the instance matrix, so the offset is in world units and the
+// phase can vary by instance position
+const windVertex = /* glsl */`
+    vec3 windAnchor = vec3(0.0);
+    #ifdef USE_INSTANCING
+        windAnchor = instanceMatrix[3].xyz;
+    #endif
+    float windHeight = clamp((position.y - uWindBase) / uWindHeight, 0.0, 1.0);
+    float windWeight = mix(windHeight * windHeight, 1.0, uWindRigid);
+    float windPhase = uWindTime * uWindFrequency + dot(windAnchor.xz, vec2(0.35, 0.27));
+    float windSway = 0.5 + sin(windPhase) * 0.35 + sin(windPhase * 2.3 + windAnchor.x) * 0.15;
+    mvPosition.xz += uWindDirection * (uWindStrength * uWindAmplitude * windWeight * windSway);
+    #ifdef GRASS_INTERACTION
+        ${grassFieldVertex}
+    #endif
+`;
+
+/**
+ * Make a material sway with the global wind (vertex shader, via onBeforeCompile)
+ *
+ * Vertices bend by the square of their height between `base` and `base + height`
+ * (geometry-local y), so roots stay planted and tips move the most.
+ * @param {THREE.Material} material
+ * @param {Object} [options]
+ * @param {number} [options.amplitude] - Tip displacement at full wind (m)
+ * @param {number} [options.base] - Local y where bending starts
+ * @param {number} [options.height] - Local height over which bending reaches full
+ * @param {boolean} [options.rigid] - Move every vertex by the full amount (flower heads riding on a stem tip)
+ * @param {boolean} [options.interactive] - Also bend away from animals and flatten at impacts (GrassField)
+ */
+export function addWind(material, { amplitude = 0.1, base = 0, height = 1, rigid = false, interactive = false } = {}) {
+    const uniforms = {
+        uWindAmplitude: { value: amplitude },
+        uWindBase: { value: base },
+        uWindHeight: { value: Math.max(height, 1e-3) },
+        uWindRigid: { value: rigid ? 1 : 0 },
+        uWindFrequency: { value: CONFIG.environmentWind?.frequency ?? 1.5 }
+    };
+    
+    if (interactive) {
+        material.defines = { ...material.defines, GRASS_INTERACTION: '' };
+    }
+    
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, windUniforms, grassFieldUniforms, uniforms);
+        
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>
+                uniform float uWindTime;
+                uniform vec2 uWindDirection;
+                uniform float uWindStrength;
+                uniform float uWindAmplitude;
+                uniform float uWindBase;
+                uniform float uWindHeight;
+                uniform float uWindRigid;
+                uniform float uWindFrequency;
+                #ifdef GRASS_INTERACTION
+                    uniform vec4 uGrassBenders[${MAX_GRASS_BENDERS}];
+                    uniform vec4 uGrassImpacts[${MAX_GRASS_IMPACTS}];
+                #endif`)
+            .replace('#include <project_vertex>', THREE.ShaderChunk.project_vertex.replace(
+                'mvPosition = modelViewMatrix * mvPosition;',
+                `${windVertex}\n\tmvPosition = modelViewMatrix * mvPosition;`
+            ));
+    };
+    material.needsUpdate = true;
+    return material;
+}
+
+/**
+ * Shadow depth material that sways like addWind(material, options) - set it as
+ * customDepthMaterial on shadow-casting wind meshes, or their shadows stand still
+ * @param {Object} [options] - Same as addWind
+ */
+export function createWindDepthMaterial(options) {
+    return addWind(new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking }), options);
+}
+
+/**
+ * Drive the shared uniforms from the gameplay wind
+ * @param {number} time - Game time (s) - slows down in bullet time, stops while paused
+ * @param {THREE.Vector3} wind - Wind velocity (m/s), e.g. Ballistics.getWind()
+ */
+export function updateWind(time, wind) {
+    const cfg = CONFIG.environmentWind || {};
+    windUniforms.uWindTime.value = time;
+    
+    if (cfg.enabled === false) {
+        windUniforms.uWindStrength.value = 0;
+        return;
+    }
+    
+    const speed = Math.hypot(wind.x, wind.z);
+    if (speed > 1e-3) windUniforms.uWindDirection.value.set(wind.x / speed, wind.z / speed);
+    
+    // A calm day still rustles a little
+    const strength = speed / (cfg.maxSpeed || 6);
+    windUniforms.uWindStrength.value = THREE.MathUtils.clamp(strength, cfg.minStrength ?? 0.15, 1);
+}
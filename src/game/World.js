@@ -6,6 +6,12 @@ import treeModelSrc from '../assets/tree.glb';
 import grassTextureSrc from '../assets/grass.png';
 import rockTextureSrc from '../assets/rock.jpg';
 import { createDracoLoader } from '../utils/dracoLoader';
+import { addWind, createWindDepthMaterial } from './Wind';
+import { GrassField } from './GrassField';
+import { TerrainChunks } from './TerrainChunks';
+
+const _raycaster = new THREE.Raycaster();
+const _point = new THREE.Vector3();
 
 /**
  * Simple noise function for terrain generation
@@ -93,8 +99,16 @@ class SeededRandom {
  * Creates and manages the game world
  */
 export class World {
-    constructor(scene) {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {Object} [options]
+     * @param {number} [options.vegetationDensity] - Fraction of the CONFIG grass / flower counts to build.
+     *   Placement always draws the full counts from the seeded random so the layout
+     *   (rocks, trees, navigation) is identical on every quality tier
+     */
+    constructor(scene, { vegetationDensity = 1 } = {}) {
         this.scene = scene;
+        this.vegetationDensity = vegetationDensity;
         const seed = CONFIG.worldSeed || 42;
         this.noise = new SimplexNoise(seed);
         this.random = new SeededRandom(seed);
@@ -111,6 +125,21 @@ export class World {
         this.treeInstancedMeshes = [];
         this.loadTreeModel();
         
+        // Rock placements (ground footprint for animal navigation)
+        this.rockInstances = [];
+        
+        // Ground tiles (built in createGround)
+        this.terrain = null;
+        
+        // Thinnable vegetation - instanced meshes ({ mesh, count })
+        this.vegetation = { instanced: [] };
+        
+        // Wind sway amplitude per vegetation kind (m)
+        this.windAmplitude = { grass: 0, flowers: 0, trees: 0, ...CONFIG.environmentWind?.amplitude };
+        
+        // Grass bending around animals and flattened at bullet impacts (updated by Game)
+        this.grassField = new GrassField();
+        
         // Update initial progress
         this.updateProgress(20);
     }
@@ -178,22 +207,24 @@ export class World {
                 }
             });
             
-            // Create InstancedMesh for each mesh in the tree
+            // Instance every mesh in the tree
             const treeCount = this.treeInstances.length;
             const dummy = new THREE.Object3D();
             
+            // Sway by height in the whole tree (trunk barely moves, canopy top the most)
+            const bounds = new THREE.Box3().setFromObject(gltf.scene);
+            
             meshes.forEach((meshData) => {
-                const instancedMesh = new THREE.InstancedMesh(
-                    meshData.geometry,
-                    meshData.material,
-                    treeCount
-                );
-                instancedMesh.castShadow = true;
-                instancedMesh.receiveShadow = true;
-                instancedMesh.frustumCulled = true; // Enable frustum culling
+                const wind = {
+                    amplitude: this.windAmplitude.trees,
+                    base: bounds.min.y - meshData.position.y,
+                    height: bounds.max.y - bounds.min.y
+                };
+                const material = addWind(meshData.material.clone(), wind);
+                const depthMaterial = createWindDepthMaterial(wind); // Shadows sway with the canopy
                 
                 // Set up each instance
-                this.treeInstances.forEach((tree, i) => {
+                const instances = this.treeInstances.map(tree => {
                     // Apply tree transform
                     dummy.position.set(tree.x, tree.y, tree.z);
                     dummy.rotation.set(0, tree.rotationY, 0);
@@ -205,15 +236,19 @@ export class World {
                     dummy.position.z += meshData.position.z * tree.scale;
                     
                     dummy.updateMatrix();
-                    instancedMesh.setMatrixAt(i, dummy.matrix);
+                    return { matrix: dummy.matrix.clone() };
                 });
                 
-                instancedMesh.instanceMatrix.needsUpdate = true;
-                this.scene.add(instancedMesh);
-                this.treeInstancedMeshes.push(instancedMesh);
+                // One InstancedMesh per terrain chunk (frustum culling skips whole chunks)
+                const created = this.terrain.createInstances('trees', meshData.geometry, material, instances, (mesh) => {
+                    mesh.castShadow = true;
+                    mesh.receiveShadow = true;
+                    mesh.customDepthMaterial = depthMaterial;
+                });
+                created.forEach(({ mesh }) => this.treeInstancedMeshes.push(mesh));
             });
             
-            console.log(`Tree model loaded: ${treeCount} instances using ${meshes.length} InstancedMesh(es)`);
+            console.log(`Tree model loaded: ${treeCount} instances using ${this.treeInstancedMeshes.length} InstancedMesh(es)`);
             this.assetLoaded();
         });
     }
@@ -245,6 +280,55 @@ export class World {
         return height;
     }
     
+    /**
+     * First point where a ray goes below the terrain (marches the heightfield, then bisects)
+     * @returns {{ point: THREE.Vector3, distance: number, surface: 'terrain' } | null}
+     */
+    intersectTerrain(origin, direction, far = 300, step = 1) {
+        const below = (t) => {
+            _point.copy(origin).addScaledVector(direction, t);
+            return _point.y < this.getTerrainHeight(_point.x, _point.z);
+        };
+        
+        let near = 0;
+        for (let t = step; near < far; t += step) {
+            t = Math.min(t, far);
+            if (below(t)) {
+                let lo = near;
+                let hi = t;
+                for (let i = 0; i < 10; i++) {
+                    const mid = (lo + hi) / 2;
+                    if (below(mid)) hi = mid;
+                    else lo = mid;
+                }
+                return {
+                    point: origin.clone().addScaledVector(direction, hi),
+                    distance: hi,
+                    surface: 'terrain'
+                };
+            }
+            near = t;
+        }
+        return null;
+    }
+    
+    /**
+     * First environment surface (tree or terrain) along a ray - used for bullet impacts
+     * @returns {{ point: THREE.Vector3, distance: number, surface: 'terrain'|'tree' } | null}
+     */
+    intersectEnvironment(origin, direction, far = 300) {
+        let best = null;
+        
+        if (this.treeInstancedMeshes.length) {
+            _raycaster.set(origin, direction);
+            _raycaster.far = far;
+            const hit = _raycaster.intersectObjects(this.treeInstancedMeshes, false)[0];
+            if (hit) best = { point: hit.point.clone(), distance: hit.distance, surface: 'tree' };
+        }
+        
+        return this.intersectTerrain(origin, direction, best ? best.distance : far) || best;
+    }
+    
     createMaterials() {
         const { colors } = CONFIG;
         return {
@@ -256,12 +340,7 @@ export class World {
             grassLight: new THREE.MeshLambertMaterial({ color: colors.ground.grassLight }),
             trunk: new THREE.MeshLambertMaterial({ color: colors.tree.trunk }),
             leaves: colors.tree.leaves.map(c => new THREE.MeshLambertMaterial({ color: c })),
-            flowerRed: new THREE.MeshLambertMaterial({ color: colors.flowers.red }),
-            flowerYellow: new THREE.MeshLambertMaterial({ color: colors.flowers.yellow }),
-            flowerWhite: new THREE.MeshLambertMaterial({ color: colors.flowers.white }),
-            flowerPurple: new THREE.MeshLambertMaterial({ color: colors.flowers.purple }),
-            flowerPink: new THREE.MeshLambertMaterial({ color: colors.flowers.pink }),
-            flowerOrange: new THREE.MeshLambertMaterial({ color: colors.flowers.orange }),
+            flowerHead: new THREE.MeshLambertMaterial({ color: 0xffffff }), // Tinted per instance
             flowerStem: new THREE.MeshLambertMaterial({ color: 0x2d5a27 }),
             // Mountains
             mountainBase: new THREE.MeshLambertMaterial({ color: colors.mountain.base }),
@@ -417,24 +496,26 @@ export class World {
         
         // Cloud count from config
         const cloudCount = CONFIG.cloudCount || 25;
+        const cloud = new THREE.Object3D();
+        const puff = new THREE.Object3D();
+        const puffMatrices = [];
+        
         for (let c = 0; c < cloudCount; c++) {
-            const cloud = new THREE.Group();
-            
             const cloudScale = 0.6 + this.rand() * 1.0;
             const puffCount = 3 + Math.floor(this.rand() * 4);
             
+            // Puffs in cloud space (placed once the cloud transform is known)
+            const puffs = [];
             for (let p = 0; p < puffCount; p++) {
                 const puffSize = (1.2 + this.rand() * 1.8) * cloudScale;
-                const puffGeo = new THREE.SphereGeometry(puffSize, 7, 5);
-                const puff = new THREE.Mesh(puffGeo, cloudMaterial);
-                
                 puff.position.set(
                     (this.rand() - 0.5) * 5 * cloudScale,
                     (this.rand() - 0.5) * 1.2 * cloudScale,
                     (this.rand() - 0.5) * 3 * cloudScale
                 );
-                puff.scale.y = 0.5;
-                cloud.add(puff);
+                puff.scale.set(puffSize, puffSize * 0.5, puffSize);
+                puff.updateMatrix();
+                puffs.push(puff.matrix.clone());
             }
             
             const angle = this.rand() * Math.PI * 2;
@@ -447,33 +528,19 @@ export class World {
                 Math.sin(angle) * distance
             );
             cloud.rotation.y = this.rand() * Math.PI;
+            cloud.updateMatrix();
             
-            this.scene.add(cloud);
+            puffs.forEach(matrix => puffMatrices.push(matrix.premultiply(cloud.matrix)));
         }
+        
+        // All puffs share one unit sphere
+        const clouds = new THREE.InstancedMesh(new THREE.SphereGeometry(1, 7, 5), cloudMaterial, puffMatrices.length);
+        puffMatrices.forEach((matrix, i) => clouds.setMatrixAt(i, matrix));
+        clouds.instanceMatrix.needsUpdate = true;
+        this.scene.add(clouds);
     }
     
     createGround() {
-        const size = CONFIG.groundSize;
-        const segments = 100;
-        
-        const groundGeo = new THREE.PlaneGeometry(size, size, segments, segments);
-        const positions = groundGeo.attributes.position;
-        
-        // Apply terrain height displacement
-        for (let i = 0; i < positions.count; i++) {
-            const localX = positions.getX(i);
-            const localY = positions.getY(i);
-            
-            // World coordinates after rotation
-            const worldX = localX;
-            const worldZ = -localY;
-            
-            const height = this.getTerrainHeight(worldX, worldZ);
-            positions.setZ(i, height);
-        }
-        
-        groundGeo.computeVertexNormals();
-        
         // Load terrain texture
         const textureLoader = new THREE.TextureLoader();
         const terrainTexture = textureLoader.load(terrainTextureSrc, () => {
@@ -490,10 +557,8 @@ export class World {
             side: THREE.DoubleSide
         });
         
-        const ground = new THREE.Mesh(groundGeo, groundMat);
-        ground.rotation.x = -Math.PI / 2;
-        ground.receiveShadow = true;
-        this.scene.add(ground);
+        // Chunked ground with LOD - vegetation builders register their instances per chunk
+        this.terrain = new TerrainChunks(this, groundMat);
     }
     
     /**
@@ -506,6 +571,7 @@ export class World {
     
     createRocks() {
         const rockCount = CONFIG.rockCount || 150;
+        this.rockInstances = [];
         
         // Load rock texture with tiling
         const textureLoader = new THREE.TextureLoader();
@@ -515,25 +581,16 @@ export class World {
         rockTexture.repeat.set(1.5, 1.5);  // Tile texture 2x2
         rockTexture.colorSpace = THREE.SRGBColorSpace;
         
-        // Create textured rock materials with slight color variations
-        const rockMaterials = [
-            new THREE.MeshStandardMaterial({ 
-                map: rockTexture,
-                roughness: 0.9, 
-                metalness: 0.1 
-            }),
-            new THREE.MeshStandardMaterial({ 
-                map: rockTexture,
-                color: 0xdddddd,  // Slightly lighter
-                roughness: 0.85, 
-                metalness: 0.05 
-            }),
-            new THREE.MeshStandardMaterial({ 
-                map: rockTexture,
-                color: 0xaaaaaa,  // Slightly darker
-                roughness: 0.95, 
-                metalness: 0.0 
-            })
+        // One textured material - the slight color variations are per-instance tints
+        const rockMaterial = new THREE.MeshStandardMaterial({ 
+            map: rockTexture,
+            roughness: 0.9, 
+            metalness: 0.05 
+        });
+        const rockTints = [
+            new THREE.Color(0xffffff),
+            new THREE.Color(0xdddddd),  // Slightly lighter
+            new THREE.Color(0xaaaaaa)   // Slightly darker
         ];
         
         // Create smooth rock geometry with subtle deformation
@@ -577,42 +634,58 @@ export class World {
             rockGeometries.push(createRockGeometry(i * 1.5));
         }
         
-        // Place rocks
+        // Place rocks - collected per geometry variation, then one InstancedMesh each
+        const placements = rockGeometries.map(() => []);
+        const dummy = new THREE.Object3D();
+        
         for (let i = 0; i < rockCount; i++) {
             const angle = this.rand() * Math.PI * 2;
             const radius = 10 + this.rand() * 100;
             const x = Math.cos(angle) * radius;
             const z = Math.sin(angle) * radius;
             
-            // Pick random geometry and material
-            const geo = rockGeometries[Math.floor(this.rand() * rockGeometries.length)];
-            const mat = rockMaterials[Math.floor(this.rand() * rockMaterials.length)];
-            
-            const rock = new THREE.Mesh(geo, mat);
+            // Pick random geometry and tint
+            const variant = Math.floor(this.rand() * rockGeometries.length);
+            const tint = rockTints[Math.floor(this.rand() * rockTints.length)];
             
             // Random scale - mostly medium rocks, some bigger
             const baseScale = this.rand() < 0.15 ? 1.1 + this.rand() * 1.1 : 0.5 + this.rand() * 0.8;
-            rock.scale.set(
+            dummy.scale.set(
                 baseScale * (0.9 + this.rand() * 0.2),
                 baseScale * (0.6 + this.rand() * 0.4),
                 baseScale * (0.9 + this.rand() * 0.2)
             );
             
             // Place on terrain, slightly buried
-            this.placeOnTerrain(rock, x, z, -baseScale * 0.25);
+            this.placeOnTerrain(dummy, x, z, -baseScale * 0.25);
             
             // Subtle random rotation
-            rock.rotation.set(
+            dummy.rotation.set(
                 this.rand() * Math.PI * 0.15,
                 this.rand() * Math.PI * 2,
                 this.rand() * Math.PI * 0.15
             );
+            dummy.updateMatrix();
             
-            rock.castShadow = true;
-            rock.receiveShadow = true;
-            
-            this.scene.add(rock);
+            placements[variant].push({ matrix: dummy.matrix.clone(), tint });
+            this.rockInstances.push({ x, z, radius: Math.max(dummy.scale.x, dummy.scale.z) * 1.1 });
         }
+        
+        rockGeometries.forEach((geo, variant) => {
+            const rocks = placements[variant];
+            if (!rocks.length) return;
+            
+            const mesh = new THREE.InstancedMesh(geo, rockMaterial, rocks.length);
+            rocks.forEach(({ matrix, tint }, i) => {
+                mesh.setMatrixAt(i, matrix);
+                mesh.setColorAt(i, tint);
+            });
+            mesh.instanceMatrix.needsUpdate = true;
+            mesh.instanceColor.needsUpdate = true;
+            mesh.castShadow = true;
+            mesh.receiveShadow = true;
+            this.scene.add(mesh);
+        });
     }
     
     createGrassVariety() {
@@ -627,6 +700,7 @@ export class World {
             alphaTest: 0.5,
             side: THREE.DoubleSide
         });
+        addWind(grassMaterial, { amplitude: this.windAmplitude.grass, base: 0, height: 0.95, interactive: true });
         
         // Plane geometry for grass sprite (pivot at bottom)
         const grassGeo = new THREE.PlaneGeometry(1, 1);
@@ -635,9 +709,9 @@ export class World {
         // Total grass count - use InstancedMesh for performance
         const totalGrass = CONFIG.grassCount + CONFIG.grassTallCount;
         
-        // Two instanced meshes for cross-billboard effect
-        const instancedGrass1 = new THREE.InstancedMesh(grassGeo, grassMaterial, totalGrass);
-        const instancedGrass2 = new THREE.InstancedMesh(grassGeo, grassMaterial, totalGrass);
+        // Two planes per blade for cross-billboard effect
+        const planes1 = [];
+        const planes2 = [];
         
         const dummy = new THREE.Object3D();
         
@@ -657,59 +731,94 @@ export class World {
             dummy.rotation.set(0, rotY, 0);
             dummy.scale.set(scale, scale, scale);
             dummy.updateMatrix();
-            instancedGrass1.setMatrixAt(i, dummy.matrix);
+            planes1.push({ matrix: dummy.matrix.clone() });
             
             // Second plane at 90°
             dummy.rotation.y = rotY + Math.PI / 2;
             dummy.updateMatrix();
-            instancedGrass2.setMatrixAt(i, dummy.matrix);
+            planes2.push({ matrix: dummy.matrix.clone() });
         }
         
-        instancedGrass1.instanceMatrix.needsUpdate = true;
-        instancedGrass2.instanceMatrix.needsUpdate = true;
-        
         // Render grass before trees to avoid z-fighting
-        instancedGrass1.renderOrder = 0;
-        instancedGrass2.renderOrder = 0;
-        
-        this.scene.add(instancedGrass1);
-        this.scene.add(instancedGrass2);
+        const setup = (mesh) => { mesh.renderOrder = 0; };
+        this.vegetation.instanced.push(
+            ...this.terrain.createInstances('grass', grassGeo, grassMaterial, this.thin(planes1), setup),
+            ...this.terrain.createInstances('grass', grassGeo, grassMaterial, this.thin(planes2), setup)
+        );
     }
     
     createFlowers() {
-        const flowerMaterials = [
-            this.materials.flowerRed,
-            this.materials.flowerYellow,
-            this.materials.flowerWhite,
-            this.materials.flowerPurple,
-            this.materials.flowerPink,
-            this.materials.flowerOrange
-        ];
+        const { flowers } = CONFIG.colors;
+        const flowerColors = [flowers.red, flowers.yellow, flowers.white, flowers.purple, flowers.pink, flowers.orange]
+            .map(c => new THREE.Color(c));
+        const flowerCount = CONFIG.flowerCount;
+        
+        // Shared unit geometry - stem pivot at the bottom, height and head size come from instance scale
+        const stemGeo = new THREE.CylinderGeometry(0.015, 0.02, 1, 4);
+        stemGeo.translate(0, 0.5, 0);
+        const headGeo = new THREE.SphereGeometry(1, 6, 6);
+        
+        // Heads ride on the stem tip - same phase (instance x/z) and full amplitude
+        addWind(this.materials.flowerStem, { amplitude: this.windAmplitude.flowers });
+        addWind(this.materials.flowerHead, { amplitude: this.windAmplitude.flowers, rigid: true });
+        
+        const stems = [];
+        const heads = [];
+        const dummy = new THREE.Object3D();
         
-        for (let i = 0; i < CONFIG.flowerCount; i++) {
+        for (let i = 0; i < flowerCount; i++) {
             const angle = this.rand() * Math.PI * 2;
             const radius = 10 + this.rand() * 85;
             const x = Math.cos(angle) * radius;
             const z = Math.sin(angle) * radius;
-            const flowerMat = flowerMaterials[Math.floor(this.rand() * flowerMaterials.length)];
-            
-            const flower = new THREE.Group();
+            const color = flowerColors[Math.floor(this.rand() * flowerColors.length)];
             
             const stemHeight = 0.15 + this.rand() * 0.2;
-            const stemGeo = new THREE.CylinderGeometry(0.015, 0.02, stemHeight, 4);
-            const stem = new THREE.Mesh(stemGeo, this.materials.flowerStem);
-            stem.position.y = stemHeight / 2;
-            flower.add(stem);
+            const headRadius = 0.05 + this.rand() * 0.03;
+            const scale = 0.8 + this.rand() * 0.5;
             
-            const headGeo = new THREE.SphereGeometry(0.05 + this.rand() * 0.03, 6, 6);
-            const head = new THREE.Mesh(headGeo, flowerMat);
-            head.position.y = stemHeight + 0.04;
-            flower.add(head);
+            this.placeOnTerrain(dummy, x, z, 0);
+            const groundY = dummy.position.y;
             
-            this.placeOnTerrain(flower, x, z, 0);
-            flower.scale.setScalar(0.8 + this.rand() * 0.5);
-            this.scene.add(flower);
+            dummy.scale.set(scale, stemHeight * scale, scale);
+            dummy.updateMatrix();
+            stems.push({ matrix: dummy.matrix.clone() });
+            
+            dummy.position.y = groundY + (stemHeight + 0.04) * scale;
+            dummy.scale.setScalar(headRadius * scale);
+            dummy.updateMatrix();
+            heads.push({ matrix: dummy.matrix.clone(), color });
         }
+        
+        this.vegetation.instanced.push(
+            ...this.terrain.createInstances('flowers', stemGeo, this.materials.flowerStem, this.thin(stems)),
+            ...this.terrain.createInstances('flowers', headGeo, this.materials.flowerHead, this.thin(heads))
+        );
+    }
+    
+    /**
+     * Thin out grass and flowers at runtime (quality downgrade)
+     * Placement order is random, so drawing only the first instances thins evenly.
+     * @param {number} scale - Fraction of the built vegetation to keep (0-1)
+     */
+    setVegetationDensity(scale) {
+        this.vegetation.instanced.forEach(({ mesh, count }) => {
+            mesh.count = Math.floor(count * scale);
+        });
+    }
+    
+    /**
+     * Keep the quality tier's share of a full placement list (placement order is random, so this thins evenly)
+     */
+    thin(instances) {
+        return instances.slice(0, Math.round(instances.length * this.vegetationDensity));
+    }
+    
+    /**
+     * Ground LOD and vegetation distance culling for the camera about to render
+     */
+    updateVisibility(camera) {
+        this.terrain?.update(camera);
     }
     
     createForest() {
@@ -10,6 +10,10 @@ import logoSrc from './assets/logo.jpg';
 
 let game = null;
 
+// SDK state that may arrive before the game exists (applied right after it is created)
+let volumeLevel = null;
+let paused = false;
+
 // Setup loading screen
 function setupLoadingScreen() {
     const logoImg = document.getElementById('loading-logo');
@@ -57,6 +61,8 @@ sdk.init((width, height) => {
     const canvas = document.getElementById('game');
     if (canvas) {
         game = new Game(canvas);
+        if (volumeLevel !== null) game.audio.setVolume(volumeLevel);
+        if (paused) game.pause();
     }
 });
 
@@ -69,18 +75,21 @@ sdk.on('resize', (width, height) => {
 // Handle pause/resume
 sdk.on('pause', () => {
     console.log('[SDK] Paused');
-    // Could pause game animations here
+    paused = true;
+    game?.pause();
 });
 
 sdk.on('resume', () => {
     console.log('[SDK] Resumed');
-    // Could resume game animations here
+    paused = false;
+    game?.resume();
 });
 
 // Handle volume changes
 sdk.on('volume', (level) => {
     console.log(`[SDK] Volume: ${level}`);
-    // Could adjust game audio here
+    volumeLevel = level;
+    game?.audio.setVolume(level);
 });
 
 // When resources are loaded, start the playable
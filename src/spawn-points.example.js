@@ -0,0 +1,44 @@
+// Example spawn points showing the optional authoring fields.
+// Not imported by the game - copy what you need into spawn-points.js.
+export default [
+    {
+        x: -9.8,
+        z: -27,
+        type: 'deer',
+        herd: 'doeWithFawns',
+        route: [
+            {
+                x: -2,
+                z: -30,
+                speed: 2
+            },
+            {
+                x: 5,
+                z: -33,
+                speed: 1.2,
+                pause: 5000,
+                broadside: true
+            },
+            {
+                x: 9,
+                z: -41,
+                pause: 3000,
+                graze: true
+            }
+        ],
+        routeEnd: 'wander',
+        ignoreTower: true
+    },
+    {
+        x: 19.4,
+        z: -47.3,
+        type: 'bear',
+        herd: 'bearWithCubs'
+    },
+    {
+        x: 21.7,
+        z: -21,
+        type: 'deer',
+        trail: 'meadowLoop'
+    }
+];
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GameClock } from '../src/game/GameClock.js';
+
+const fakeTime = () => {
+    const source = () => source.now;
+    source.now = 0;
+    return source;
+};
+
+test('tick advances by real time, clamped to maxDelta', () => {
+    const time = fakeTime();
+    const clock = new GameClock({ timeSource: time, maxDelta: 0.1 });
+    
+    assert.equal(clock.tick(), 0); // First tick has no previous frame
+    time.now = 50;
+    assert.equal(clock.tick(), 0.05);
+    time.now = 1050;
+    assert.equal(clock.tick(), 0.1);
+    assert.equal(Math.round(clock.getElapsedMs()), 150);
+});
+
+test('advance applies the time scale', () => {
+    const clock = new GameClock({ timeSource: () => 0 });
+    clock.timeScale = 0.5;
+    
+    assert.equal(clock.advance(2), 1);
+    assert.equal(clock.elapsed, 1);
+});
+
+test('pause freezes time and resume skips the paused period', () => {
+    const time = fakeTime();
+    const clock = new GameClock({ timeSource: time });
+    clock.tick();
+    
+    clock.pause();
+    time.now = 5000;
+    assert.equal(clock.tick(), 0);
+    
+    clock.resume();
+    time.now = 5020;
+    assert.equal(clock.tick(), 0); // Frame right after resume doesn't count the pause
+    time.now = 5040;
+    assert.equal(clock.tick(), 0.02);
+    assert.equal(clock.getElapsedMs(), 20);
+});
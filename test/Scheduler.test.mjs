@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scheduler } from '../src/game/Scheduler.js';
+
+test('tasks fire in due order once time reaches them', () => {
+    const scheduler = new Scheduler();
+    const fired = [];
+    scheduler.after(300, () => fired.push('b'));
+    scheduler.after(100, () => fired.push('a'));
+    
+    scheduler.advance(99);
+    assert.deepEqual(fired, []);
+    scheduler.advance(250);
+    assert.deepEqual(fired, ['a', 'b']);
+    assert.equal(scheduler.getPending().length, 0);
+});
+
+test('tasks scheduled by a callback fire in the same step if due', () => {
+    const scheduler = new Scheduler();
+    const fired = [];
+    scheduler.after(100, () => {
+        fired.push('first');
+        scheduler.after(50, () => fired.push('chained'));
+    });
+    
+    scheduler.advance(200);
+    assert.deepEqual(fired, ['first', 'chained']);
+});
+
+test('cancel and clear drop pending tasks', () => {
+    const scheduler = new Scheduler();
+    const fired = [];
+    const task = scheduler.after(100, () => fired.push('cancelled'));
+    scheduler.after(100, () => fired.push('popup'), 'popup');
+    scheduler.after(100, () => fired.push('kept'), 'spawn');
+    
+    task.cancel();
+    assert.equal(task.remaining, 0);
+    scheduler.clear('popup');
+    scheduler.advance(100);
+    assert.deepEqual(fired, ['kept']);
+});
+
+test('update takes seconds, so a paused clock (delta 0) freezes timers', () => {
+    const scheduler = new Scheduler();
+    let fired = false;
+    const task = scheduler.after(500, () => { fired = true; });
+    
+    scheduler.update(0.2);
+    assert.equal(task.remaining, 300);
+    scheduler.update(0);
+    assert.equal(task.remaining, 300);
+    scheduler.update(0.3);
+    assert.equal(fired, true);
+});